@@ -0,0 +1,337 @@
+"use strict";
+
+/**
+ * Loads AMO metadata: a JSON array of add-on objects, as returned by the AMO
+ * API (https://addons-server.readthedocs.io/en/latest/topics/api/addons.html).
+ * "webextaware sync" saves this array at ~/.webextaware/amo_metadata.json.bz2.
+ *
+ * The file can be bzip2-compressed (requires the bzip2 command),
+ * gzip-compressed or plain JSON. The file can contain 30k+ add-ons and is
+ * rather large, so it is parsed as a stream, one add-on at a time, and only
+ * the requested fields are kept.
+ *
+ * Usage:
+ * const file = await getMetadataFile(cliValue);
+ * const metadata = await loadAmoMetadata(file, ["average_daily_users"]);
+ * metadata.getByAMOId(123).average_daily_users;
+ */
+
+const { spawn } = require("child_process");
+const os = require("os");
+const path = require("path");
+const util = require("util");
+const zlib = require("zlib");
+
+const fs = require("graceful-fs");
+const fsAccess = util.promisify(fs.access);
+const fsOpen = util.promisify(fs.open);
+const fsRead = util.promisify(fs.read);
+const fsClose = util.promisify(fs.close);
+
+// Source: https://searchfox.org/mozilla-central/rev/5c922d8b93b43c18bf65539bfc72a30f84989003/toolkit/mozapps/extensions/internal/XPIProvider.jsm#188-191
+const R_EXTENSION_ID =
+    /^(\{[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\}|[a-z0-9-._]*@[a-z0-9-._]+)$/i;
+
+// Tried in order if AMO_METADATA_JSON and --metadata are not set.
+const DEFAULT_METADATA_FILES = [
+    "/tmp/amo_metadata.json",
+    path.join(os.homedir(), ".webextaware", "amo_metadata.json.bz2"),
+];
+
+// Description of the options, to be included in the --help of commands.
+const USAGE = `
+AMO metadata is read from the file given by --metadata FILE or the
+AMO_METADATA_JSON environment variable (${process.env.AMO_METADATA_JSON ?
+    `current value: ${process.env.AMO_METADATA_JSON}` : "not set"}).
+Defaults to the first existing file of: ${DEFAULT_METADATA_FILES.join(", ")}.
+The file is a JSON array of add-on objects (with at least the keys id, guid and
+average_daily_users), e.g. amo_metadata.json.bz2 from "webextaware sync".
+The file can be bzip2-compressed, gzip-compressed or plain JSON.
+`;
+
+// Splits the text of a JSON array into the text of its elements, while the
+// text is being received in chunks.
+class JSONArraySplitter {
+    constructor() {
+        this.started = false; // Whether "[" was seen.
+        this.ended = false; // Whether the final "]" was seen.
+        this.inElement = false;
+        this.inString = false;
+        this.escaped = false;
+        this.depth = 0; // Nesting depth of objects and arrays in the element.
+        this.pendingText = ""; // Text of the element from previous chunks.
+    }
+
+    // Returns the text of the elements that ended in this chunk.
+    write(chunk) {
+        let elements = [];
+        let start = 0;
+        for (let i = 0; i < chunk.length; ++i) {
+            let c = chunk[i];
+            if (this.inString) {
+                if (this.escaped) {
+                    this.escaped = false;
+                } else if (c === "\\") {
+                    this.escaped = true;
+                } else if (c === "\"") {
+                    this.inString = false;
+                }
+                continue;
+            }
+            if (c === " " || c === "\n" || c === "\r" || c === "\t") {
+                continue;
+            }
+            if (!this.started || this.ended) {
+                if (this.ended || c !== "[") {
+                    throw new Error(this.ended ?
+                        "Unexpected data after the JSON array" :
+                        "The data is not a JSON array");
+                }
+                this.started = true;
+                continue;
+            }
+            if (!this.inElement) {
+                if (c === ",") {
+                    continue;
+                }
+                if (c === "]") {
+                    this.ended = true;
+                    continue;
+                }
+                this.inElement = true;
+                this.depth = 0;
+                start = i;
+            }
+            if (c === "\"") {
+                this.inString = true;
+            } else if (c === "{" || c === "[") {
+                ++this.depth;
+            } else if ((c === "}" || c === "]") && this.depth > 0) {
+                if (--this.depth === 0) {
+                    // End of an object or array element.
+                    elements.push(this.pendingText + chunk.slice(start, i + 1));
+                    this.pendingText = "";
+                    this.inElement = false;
+                }
+            } else if ((c === "," || c === "]") && this.depth === 0) {
+                // End of an element that is not an object or array.
+                elements.push(this.pendingText + chunk.slice(start, i));
+                this.pendingText = "";
+                this.inElement = false;
+                this.ended = c === "]";
+            }
+        }
+        if (this.inElement) {
+            this.pendingText += chunk.slice(start);
+        }
+        return elements;
+    }
+
+    end() {
+        if (!this.ended) {
+            throw new Error("Unexpected end of the JSON array");
+        }
+    }
+}
+
+async function readMagicBytes(filePath) {
+    let fd = await fsOpen(filePath, "r");
+    try {
+        let buffer = Buffer.alloc(3);
+        let { bytesRead } = await fsRead(fd, buffer, 0, 3, 0);
+        return buffer.slice(0, bytesRead);
+    } finally {
+        await fsClose(fd);
+    }
+}
+
+// Returns an object with "stream", a readable stream with the decompressed
+// content of the file, and "finished", a promise that rejects if the
+// decompression failed after the stream ended.
+async function openDecompressedStream(filePath) {
+    let magic = await readMagicBytes(filePath);
+    if (magic.toString("latin1") === "BZh") {
+        let bzip2 = spawn("bzip2", ["-dc", filePath], { stdio: ["ignore", "pipe", "pipe"] });
+        let stderr = "";
+        bzip2.stderr.on("data", data => {
+            stderr += data;
+        });
+        let finished = new Promise((resolve, reject) => {
+            bzip2.once("error", e => {
+                reject(new Error(`Failed to run bzip2, which is needed to read ${filePath}: ${e}`));
+            });
+            bzip2.once("close", code => {
+                if (code) {
+                    reject(new Error(`bzip2 failed with exit code ${code}: ${stderr.trim()}`));
+                } else {
+                    resolve();
+                }
+            });
+        });
+        // Report errors from bzip2 through the stream too, in case it is
+        // still being read.
+        finished.catch(e => bzip2.stdout.destroy(e));
+        return { stream: bzip2.stdout, finished };
+    }
+    let stream = fs.createReadStream(filePath);
+    if (magic[0] === 0x1f && magic[1] === 0x8b) {
+        let gunzip = zlib.createGunzip();
+        stream.on("error", e => gunzip.destroy(e));
+        stream = stream.pipe(gunzip);
+    }
+    return { stream, finished: Promise.resolve() };
+}
+
+// Async generator of the elements of the JSON array in the stream.
+async function* parseJSONArrayStream(stream) {
+    stream.setEncoding("utf-8");
+    let splitter = new JSONArraySplitter();
+    let first = true;
+    for await (let chunk of stream) {
+        if (first && chunk.startsWith("\uFEFF")) {
+            chunk = chunk.slice(1);
+        }
+        first = false;
+        for (let elementText of splitter.write(chunk)) {
+            yield JSON.parse(elementText);
+        }
+    }
+    splitter.end();
+}
+
+class AmoMetadata {
+    constructor() {
+        this.byAMOId = new Map();
+        this.byGuid = new Map();
+    }
+
+    addAddon(addon) {
+        this.byAMOId.set(addon.id, addon);
+        if (addon.guid) {
+            this.byGuid.set(addon.guid, addon);
+        }
+    }
+
+    get size() {
+        return this.byAMOId.size;
+    }
+
+    getByAMOId(amoId) {
+        return this.byAMOId.get(amoId);
+    }
+
+    getByGuid(guid) {
+        return this.byGuid.get(guid);
+    }
+
+    // Returns the add-on for the result of getAddonIdentifier, if any.
+    lookup(identifier) {
+        if (identifier.amoId !== undefined) {
+            return this.getByAMOId(identifier.amoId);
+        }
+        return this.getByGuid(identifier.guid);
+    }
+}
+
+/**
+ * Returns the identifier of the add-on in an input line, as an object with
+ * "amoId" (a number) or "guid" (the extension ID). Returns null if the line
+ * is none of the following:
+ * - A path in a layout with an AMO ID, e.g. from webextaware:
+ *   . / <amo id> / <64 chars of hex hash> /
+ * - An AMO ID (integer).
+ * - An extension ID.
+ *
+ * @param {string} line
+ * @param {ExtensionLayouts} extensionLayouts - See extension-layouts.js.
+ */
+async function getAddonIdentifier(line, extensionLayouts) {
+    let layout = await extensionLayouts.resolve(line);
+    if (layout && layout.groups.amoid) {
+        return { amoId: parseInt(layout.groups.amoid) };
+    }
+    if (/^\d+$/.test(line)) {
+        return { amoId: parseInt(line) };
+    }
+    if (R_EXTENSION_ID.test(line)) {
+        return { guid: line };
+    }
+    return null;
+}
+
+// Returns the path of the metadata file: cliValue (from --metadata) if set,
+// else AMO_METADATA_JSON, else the first existing default file.
+async function getMetadataFile(cliValue, env = process.env) {
+    if (cliValue) {
+        return cliValue;
+    }
+    if (env.AMO_METADATA_JSON) {
+        return env.AMO_METADATA_JSON;
+    }
+    for (let filePath of DEFAULT_METADATA_FILES) {
+        try {
+            await fsAccess(filePath);
+            return filePath;
+        } catch (e) {
+            // Try the next one.
+        }
+    }
+    // Does not exist, but results in a helpful error from loadAmoMetadata.
+    return DEFAULT_METADATA_FILES[DEFAULT_METADATA_FILES.length - 1];
+}
+
+// Removes "--metadata FILE" or "--metadata=FILE" from the array of command
+// line arguments, and returns FILE (undefined if not set).
+function spliceMetadataOption(args) {
+    let index = args.findIndex(arg => /^--metadata(=|$)/.test(arg));
+    if (index === -1) {
+        return undefined;
+    }
+    let [arg] = args.splice(index, 1);
+    let value = arg.includes("=") ? arg.slice(arg.indexOf("=") + 1) : args.splice(index, 1)[0];
+    if (!value) {
+        throw new Error("--metadata requires a file");
+    }
+    return value;
+}
+
+/**
+ * @param {string} filePath - Path to the metadata file, see getMetadataFile.
+ * @param {string[]} [fields] - Keys of the add-on objects to keep, in addition
+ *   to "id" and "guid". If not set, all keys are kept.
+ * @returns {Promise<AmoMetadata>}
+ */
+async function loadAmoMetadata(filePath, fields) {
+    let metadata = new AmoMetadata();
+    try {
+        let { stream, finished } = await openDecompressedStream(filePath);
+        for await (let addon of parseJSONArrayStream(stream)) {
+            if (typeof addon !== "object" || addon === null) {
+                throw new Error("The data is not an array of objects");
+            }
+            if (fields) {
+                let picked = { id: addon.id, guid: addon.guid };
+                for (let field of fields) {
+                    if (Object.prototype.hasOwnProperty.call(addon, field)) {
+                        picked[field] = addon[field];
+                    }
+                }
+                addon = picked;
+            }
+            metadata.addAddon(addon);
+        }
+        await finished;
+    } catch (e) {
+        throw new Error(`Unable to load AMO metadata from ${filePath}: ${e.message}
+${USAGE.trim()}`);
+    }
+    return metadata;
+}
+
+exports.R_EXTENSION_ID = R_EXTENSION_ID;
+exports.USAGE = USAGE;
+exports.getAddonIdentifier = getAddonIdentifier;
+exports.getMetadataFile = getMetadataFile;
+exports.loadAmoMetadata = loadAmoMetadata;
+exports.parseJSONArrayStream = parseJSONArrayStream; // for testing.
+exports.spliceMetadataOption = spliceMetadataOption;
@@ -0,0 +1,173 @@
+"use strict";
+
+/**
+ * Persistent cache of analysis results, to speed up repeated runs over the
+ * same extensions. The cache directory contains one JSON file per extension,
+ * with the parsed manifest and the results of API queries.
+ *
+ * Cached data is only used if the extension has not changed since. Changes
+ * are detected through the size and modification time of the files
+ * ("fingerprint"): of the archive (for archives), of manifest.json (for the
+ * manifest) or of all files (for query results).
+ *
+ * Query results are stored by a key that identifies the query, e.g. derived
+ * from the RegExp sources from compileQuery (see we-api-finder.js), so that
+ * results are reused even if other queries are added.
+ *
+ * Usage:
+ * const cache = new AnalysisCache("/tmp/webextanal-cache");
+ * const fingerprint = await cache.getManifestFingerprint(extdir);
+ * let manifest = await cache.getManifest(extdir, fingerprint);
+ * if (manifest === undefined) {
+ *     manifest = await readManifest();
+ *     await cache.setManifest(extdir, fingerprint, manifest);
+ * }
+ */
+
+const crypto = require("crypto");
+const path = require("path");
+const util = require("util");
+
+const fs = require("graceful-fs");
+const fsReadFile = util.promisify(fs.readFile);
+const fsWriteFile = util.promisify(fs.writeFile);
+const fsRename = util.promisify(fs.rename);
+const fsMkdir = util.promisify(fs.mkdir);
+const fsStat = util.promisify(fs.stat);
+
+const { isArchivePath } = require("./extension-files");
+
+// Bump when the format of the cached data changes, to ignore old entries.
+const CACHE_VERSION = 1;
+
+function sha1(str) {
+    return crypto.createHash("sha1").update(str).digest("hex");
+}
+
+async function statFingerprint(filepath) {
+    let stat = await fsStat(filepath);
+    return `${stat.size}:${stat.mtimeMs}`;
+}
+
+class AnalysisCache {
+    constructor(cacheDir) {
+        this.cacheDir = cacheDir;
+        // Map from cache file path to a promise that settles when the last
+        // update of that file has completed, to serialize updates.
+        this.pendingUpdates = new Map();
+    }
+
+    _getCacheFile(extdir) {
+        let hash = sha1(path.resolve(extdir));
+        return path.join(this.cacheDir, hash.slice(0, 2), `${hash}.json`);
+    }
+
+    async _readEntry(extdir) {
+        let data;
+        try {
+            data = JSON.parse(await fsReadFile(this._getCacheFile(extdir), "utf-8"));
+        } catch (e) {
+            // Missing or corrupt cache file.
+            return null;
+        }
+        if (data.version !== CACHE_VERSION || data.extdir !== path.resolve(extdir)) {
+            return null;
+        }
+        return data;
+    }
+
+    async _updateEntry(extdir, updateCallback) {
+        let cacheFile = this._getCacheFile(extdir);
+        let previous = this.pendingUpdates.get(cacheFile) || Promise.resolve();
+        let current = previous.then(async () => {
+            let entry = await this._readEntry(extdir) || {
+                version: CACHE_VERSION,
+                extdir: path.resolve(extdir),
+            };
+            updateCallback(entry);
+            await fsMkdir(path.dirname(cacheFile), { recursive: true });
+            // Write to a temporary file first, so that readers never see a
+            // partially written file.
+            let tmpFile = `${cacheFile}.${process.pid}.tmp`;
+            await fsWriteFile(tmpFile, JSON.stringify(entry));
+            await fsRename(tmpFile, cacheFile);
+        });
+        let done = current.catch(() => {});
+        this.pendingUpdates.set(cacheFile, done);
+        try {
+            await current;
+        } finally {
+            if (this.pendingUpdates.get(cacheFile) === done) {
+                this.pendingUpdates.delete(cacheFile);
+            }
+        }
+    }
+
+    async getManifestFingerprint(extdir) {
+        if (isArchivePath(extdir)) {
+            return statFingerprint(extdir);
+        }
+        return statFingerprint(path.join(extdir, "manifest.json"));
+    }
+
+    // ext is an extension from openExtension (extension-files.js).
+    async getFilesFingerprint(ext) {
+        if (isArchivePath(ext.extdir)) {
+            return statFingerprint(ext.extdir);
+        }
+        let relPaths = (await ext.listFiles()).slice().sort();
+        let fingerprints = await Promise.all(relPaths.map(async relPath => {
+            return `${relPath}\0${await statFingerprint(path.join(ext.extdir, relPath))}`;
+        }));
+        return sha1(fingerprints.join("\n"));
+    }
+
+    // Returns the cached manifest, or undefined if not cached.
+    async getManifest(extdir, fingerprint) {
+        let entry = await this._readEntry(extdir);
+        if (entry && entry.manifestFingerprint === fingerprint) {
+            return entry.manifest;
+        }
+        return undefined;
+    }
+
+    async setManifest(extdir, fingerprint, manifest) {
+        await this._updateEntry(extdir, entry => {
+            entry.manifestFingerprint = fingerprint;
+            entry.manifest = manifest;
+        });
+    }
+
+    // Returns a Map from query key to the cached result, for the query keys
+    // that have a cached result. Query keys are strings, e.g. from
+    // QueryCompiler.getQueryKey (see we-api-finder.js).
+    async getQueryResults(extdir, fingerprint, queryKeys) {
+        let results = new Map();
+        let entry = await this._readEntry(extdir);
+        if (entry && entry.filesFingerprint === fingerprint && entry.queries) {
+            for (let queryKey of queryKeys) {
+                let hash = sha1(queryKey);
+                if (Object.prototype.hasOwnProperty.call(entry.queries, hash)) {
+                    results.set(queryKey, entry.queries[hash]);
+                }
+            }
+        }
+        return results;
+    }
+
+    // results is a Map from query key to a JSON-serializable result.
+    async setQueryResults(extdir, fingerprint, results) {
+        await this._updateEntry(extdir, entry => {
+            if (entry.filesFingerprint !== fingerprint) {
+                // The extension has changed, previous results are stale.
+                entry.filesFingerprint = fingerprint;
+                entry.queries = {};
+            }
+            for (let [queryKey, result] of results) {
+                entry.queries[sha1(queryKey)] = result;
+            }
+        });
+    }
+}
+
+module.exports = AnalysisCache;
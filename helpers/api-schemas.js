@@ -0,0 +1,279 @@
+"use strict";
+
+/**
+ * WebExtension API schemas, to check API queries (e.g. "tabs.create") and to
+ * expand wildcards (e.g. "tabs.*" or "webRequest.on*").
+ *
+ * The schemas are read from a local directory with JSON files, e.g. a copy of
+ * toolkit/components/extensions/schemas/ and browser/components/extensions/
+ * schemas/ of Firefox, or chrome/common/extensions/api/ of Chromium. Each file
+ * is an array of namespaces, with comments allowed:
+ *
+ * [{
+ *   "namespace": "tabs",
+ *   "functions": [{ "name": "create" }, { "name": "executeScript",
+ *                   "max_manifest_version": 2 }],
+ *   "events": [{ "name": "onUpdated" }],
+ *   "properties": { "TAB_ID_NONE": { "value": -1 } },
+ *   "types": [{ "id": "Tab", "type": "object" }]
+ * }]
+ *
+ * Usage:
+ * const apiSchemas = await ApiSchemas.load("/path/to/schemas");
+ * apiSchemas.validateQuery("tab.create"); // "unknown namespace "tab""
+ * apiSchemas.expandQuery("webRequest.on*"); // ["webRequest.onBeforeRequest", ...]
+ * apiSchemas.getFlags("tabs.executeScript"); // ["mv2-only"]
+ */
+
+const stripJsonComments = require("strip-json-comments");
+
+const { openExtension } = require("./extension-files");
+
+// Members of every event.
+const EVENT_MEMBERS = ["addListener", "removeListener", "hasListener"];
+
+// Queries that are checked against the schemas. Other queries, e.g. with
+// regular expressions such as "tabs.(create|update)", are not checked.
+const R_PLAIN_QUERY = /^[\w$]+(?:\.[\w$]+)*$/;
+
+// Splits off "browser." or "chrome.", if any.
+function splitRoot(query) {
+    let match = /^(?:browser|chrome)\./.exec(query);
+    return match ? [match[0], query.slice(match[0].length)] : ["", query];
+}
+
+class ApiSchemas {
+    constructor() {
+        // Map from namespace name (e.g. "devtools.panels") to the list of its
+        // schema entries. A namespace can be declared in multiple files.
+        this.namespaces = new Map();
+    }
+
+    // Whether the query is an API with wildcards, see expandQuery.
+    static isWildcardQuery(query) {
+        return query.includes("*") && /^[\w$.*]+$/.test(query);
+    }
+
+    // Loads all .json files in the directory and its subdirectories.
+    static async load(schemasDir) {
+        let apiSchemas = new ApiSchemas();
+        let dir = await openExtension(schemasDir);
+        let fileNames = (await dir.listFiles()).filter(f => f.endsWith(".json")).sort();
+        if (!fileNames.length) {
+            throw new Error(`No API schemas (.json files) found in ${schemasDir}`);
+        }
+        for (let fileName of fileNames) {
+            let data = await dir.readFile(fileName, "utf-8");
+            try {
+                apiSchemas.addSchema(JSON.parse(stripJsonComments(data)));
+            } catch (e) {
+                throw new Error(`Invalid API schema ${fileName} in ${schemasDir}: ${e.message}`);
+            }
+        }
+        return apiSchemas;
+    }
+
+    // Adds the namespaces of a schema file.
+    addSchema(namespaces) {
+        if (!Array.isArray(namespaces)) {
+            throw new Error("The schema is not an array of namespaces");
+        }
+        for (let namespace of namespaces) {
+            if (typeof namespace.namespace !== "string") {
+                continue;
+            }
+            if (!this.namespaces.has(namespace.namespace)) {
+                this.namespaces.set(namespace.namespace, []);
+            }
+            this.namespaces.get(namespace.namespace).push(namespace);
+        }
+    }
+
+    // Returns a Map from member name to schema entry, or null if the members
+    // of the entry are not known.
+    _getMembers(entries, namespaceName, depth = 0) {
+        let members = new Map();
+        let known = false;
+        for (let entry of entries) {
+            // The $import of a namespace or the $ref of a property have the
+            // members of the referenced namespace or type.
+            if (entry.$import && depth < 10) {
+                let imported = this.namespaces.get(entry.$import);
+                let importedMembers = imported &&
+                    this._getMembers(imported, entry.$import, depth + 1);
+                if (importedMembers) {
+                    importedMembers.forEach((member, name) => members.set(name, member));
+                    known = true;
+                }
+            }
+            if (entry.$ref && depth < 10) {
+                let type = this._getType(entry.$ref, namespaceName);
+                let typeMembers = type && this._getMembers([type], namespaceName, depth + 1);
+                if (!typeMembers) {
+                    return null;
+                }
+                typeMembers.forEach((member, name) => members.set(name, member));
+                known = true;
+            }
+            if (entry.isEvent) {
+                EVENT_MEMBERS.forEach(name => members.set(name, {}));
+                known = true;
+            }
+            for (let key of ["functions", "events"]) {
+                if (Array.isArray(entry[key])) {
+                    for (let member of entry[key]) {
+                        if (member && typeof member.name === "string") {
+                            members.set(member.name, key === "events" ?
+                                Object.assign({ isEvent: true }, member) : member);
+                        }
+                    }
+                    known = true;
+                }
+            }
+            if (typeof entry.properties === "object" && entry.properties !== null) {
+                for (let [name, member] of Object.entries(entry.properties)) {
+                    members.set(name, member);
+                }
+                known = true;
+            }
+        }
+        return known ? members : null;
+    }
+
+    // Returns the type with the given id, e.g. "StorageArea" in the namespace,
+    // or "storage.StorageArea".
+    _getType(ref, namespaceName) {
+        let separatorIndex = ref.lastIndexOf(".");
+        if (separatorIndex !== -1) {
+            namespaceName = ref.slice(0, separatorIndex);
+            ref = ref.slice(separatorIndex + 1);
+        }
+        for (let namespace of this.namespaces.get(namespaceName) || []) {
+            let type = (namespace.types || []).find(t => t && t.id === ref);
+            if (type) {
+                return type;
+            }
+        }
+        return null;
+    }
+
+    // Looks up the parts of an API (without "browser." or "chrome.").
+    // Returns an object with:
+    // - entries: the schema entries of the API, null if not known in detail.
+    // - path: the schema entries from the namespace to the API.
+    // - namespaceName: the namespace of the API.
+    // - error: a description of the first unknown part, if any.
+    _lookup(api) {
+        let parts = api ? api.split(".") : [];
+        // Namespaces can contain dots, e.g. "devtools.panels".
+        let i = parts.length;
+        while (i > 0 && !this.namespaces.has(parts.slice(0, i).join("."))) {
+            --i;
+        }
+        if (i === 0) {
+            let isPrefix = Array.from(this.namespaces.keys()).some(name => {
+                return name.startsWith(`${api}.`);
+            });
+            if (isPrefix || !api) {
+                return { entries: null, path: [], namespaceName: api };
+            }
+            return { error: `unknown namespace "${parts[0]}"` };
+        }
+        let namespaceName = parts.slice(0, i).join(".");
+        let entries = this.namespaces.get(namespaceName);
+        let path = entries.slice();
+        for (; i < parts.length; ++i) {
+            let members = this._getMembers(entries, namespaceName);
+            if (!members) {
+                // E.g. a function or an object of an unknown type: accept any
+                // remaining part, such as tabs.create.call.
+                return { entries: null, path, namespaceName };
+            }
+            let member = members.get(parts[i]);
+            if (!member) {
+                return {
+                    error: `"${parts.slice(0, i).join(".")}" has no member "${parts[i]}"`,
+                };
+            }
+            entries = [member];
+            path.push(member);
+        }
+        return { entries, path, namespaceName };
+    }
+
+    // Returns a description of why the query is not a known API, or null if
+    // it is known (or not a plain API name, e.g. a regular expression).
+    validateQuery(query) {
+        if (!R_PLAIN_QUERY.test(query)) {
+            return null;
+        }
+        let [root, api] = splitRoot(query);
+        if (root && !api) {
+            return null;
+        }
+        return this._lookup(api).error || null;
+    }
+
+    // Returns the queries that match a query with wildcards (*) in its last
+    // part, e.g. "tabs.*" or "webRequest.on*". Throws if no API matches.
+    expandQuery(query) {
+        let [root, api] = splitRoot(query);
+        let parts = api.split(".");
+        let lastPart = parts.pop();
+        if (parts.some(part => part.includes("*"))) {
+            throw new Error(`Wildcards are only supported in the last part of an API: ${query}`);
+        }
+        let prefix = parts.join(".");
+        let pattern = new RegExp(`^${lastPart.replace(/\$/g, "\\$").replace(/\*/g, "[\\w$]*")}$`);
+        let names = new Set();
+        // Namespaces below the prefix, e.g. "devtools.panels" for "devtools.*".
+        for (let name of this.namespaces.keys()) {
+            let nameParts = name.split(".");
+            if (nameParts.length === parts.length + 1 &&
+                nameParts.slice(0, -1).join(".") === prefix) {
+                names.add(nameParts[nameParts.length - 1]);
+            }
+            if (nameParts.length > parts.length + 1 &&
+                nameParts.slice(0, parts.length).join(".") === prefix) {
+                names.add(nameParts[parts.length]);
+            }
+        }
+        if (prefix) {
+            let { entries, error, namespaceName } = this._lookup(prefix);
+            if (error) {
+                throw new Error(`Unknown API in ${query}: ${error}`);
+            }
+            let members = entries && this._getMembers(entries, namespaceName);
+            if (members) {
+                members.forEach((member, name) => names.add(name));
+            }
+        }
+        let queries = Array.from(names).filter(name => pattern.test(name)).map(name => {
+            return root + (prefix ? `${prefix}.${name}` : name);
+        });
+        if (!queries.length) {
+            throw new Error(`No API matches ${query}`);
+        }
+        return queries;
+    }
+
+    // Returns the flags of the API in the query: "deprecated" if the API (or
+    // its namespace) is deprecated, "mv2-only" if it is only available in
+    // Manifest Version 2.
+    getFlags(query) {
+        if (!R_PLAIN_QUERY.test(query)) {
+            return [];
+        }
+        let { path } = this._lookup(splitRoot(query)[1]);
+        let flags = [];
+        if (path && path.some(entry => entry.deprecated)) {
+            flags.push("deprecated");
+        }
+        if (path && path.some(entry => entry.max_manifest_version < 3)) {
+            flags.push("mv2-only");
+        }
+        return flags;
+    }
+}
+
+module.exports = ApiSchemas;
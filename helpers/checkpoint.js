@@ -0,0 +1,64 @@
+"use strict";
+
+/**
+ * Records the completed input lines of a run in a file, so that a restarted
+ * run can skip them, see --checkpoint of the filter command.
+ *
+ * Usage:
+ * const checkpoint = Checkpoint.open("/tmp/run.checkpoint");
+ * for (let line of lines) {
+ *     if (!checkpoint.has(line)) {
+ *         // ... process line and write its output ...
+ *         checkpoint.add(line);
+ *     }
+ * }
+ * checkpoint.close();
+ */
+
+const fs = require("graceful-fs");
+
+class Checkpoint {
+    constructor(file, fd, lines) {
+        this.file = file;
+        this.fd = fd;
+        // The lines that were completed by previous runs.
+        this.lines = lines;
+    }
+
+    // Reads the lines that were completed before, if the file exists, and
+    // opens the file to append lines.
+    static open(file) {
+        let data = Buffer.alloc(0);
+        try {
+            data = fs.readFileSync(file);
+        } catch (e) {
+            if (e.code !== "ENOENT") {
+                throw e;
+            }
+        }
+        // The last line is incomplete if the previous run was killed while
+        // writing it. It is removed, so that it is processed again.
+        let end = data.lastIndexOf("\n") + 1;
+        if (end < data.length) {
+            fs.truncateSync(file, end);
+        }
+        let lines = new Set(data.toString("utf-8", 0, end).split("\n"));
+        lines.delete("");
+        let fd = fs.openSync(file, "a");
+        return new Checkpoint(file, fd, lines);
+    }
+
+    has(line) {
+        return this.lines.has(line);
+    }
+
+    add(line) {
+        fs.writeSync(this.fd, `${line}\n`);
+    }
+
+    close() {
+        fs.closeSync(this.fd);
+    }
+}
+
+module.exports = Checkpoint;
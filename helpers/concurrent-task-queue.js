@@ -1,29 +1,40 @@
 "use strict";
 
+// Runs tasks concurrently, up to a maximum total cost. By default each task
+// costs 1, i.e. max is the maximum number of concurrent tasks. With other
+// costs, e.g. the number of bytes that a task reads, max limits the sum of
+// the costs of the running tasks. A task whose cost exceeds max runs alone.
 class ConcurrentTaskQueue {
     constructor(max) {
-        this.max = max; // Maximum number of concurrent tasks.
-        this.size = 0;
+        this.max = max; // Maximum total cost of concurrent tasks.
+        this.size = 0; // Total cost of the running tasks.
         this.tasks = [];
     }
-    async queueTask(runTaskCallback) {
+    async queueTask(runTaskCallback, cost = 1) {
         return new Promise((resolve, reject) => {
-            this.tasks.push({ resolve, reject, runTaskCallback });
+            this.tasks.push({ resolve, reject, runTaskCallback, cost });
             this._runNextTask();
         });
     }
-    async _runNextTask() {
-        while (this.size < this.max && this.tasks.length) {
+    _runNextTask() {
+        // Tasks run in order: a task waits until there is room for its cost,
+        // even if later (cheaper) tasks would fit.
+        while (this.tasks.length &&
+            (this.size === 0 || this.size + this.tasks[0].cost <= this.max)) {
             const task = this.tasks.shift();
-            ++this.size;
-            try {
-                task.resolve(await task.runTaskCallback());
-            } catch (e) {
-                task.reject(e);
-            }
-            --this.size;
+            this.size += task.cost;
+            this._runTask(task);
         }
     }
+    async _runTask(task) {
+        try {
+            task.resolve(await task.runTaskCallback());
+        } catch (e) {
+            task.reject(e);
+        }
+        this.size -= task.cost;
+        this._runNextTask();
+    }
 }
 
 module.exports = ConcurrentTaskQueue;
@@ -0,0 +1,86 @@
+"use strict";
+
+/**
+ * Parses the content_security_policy of manifest.json, to find policies that
+ * weaken the default policy of extensions, e.g. by allowing eval or scripts
+ * from remote hosts.
+ *
+ * In Manifest Version 2, content_security_policy is a string. In Manifest
+ * Version 3, it is an object with policies for "extension_pages" and
+ * "sandbox" (sandboxed pages may use eval).
+ *
+ * Usage:
+ * findCspWeaknesses({ content_security_policy: "script-src 'self' 'unsafe-eval'" });
+ * // [{ category: "csp-unsafe-eval", policy: "content_security_policy",
+ * //    directive: "script-src", source: "'unsafe-eval'" }]
+ */
+
+// Categories of findCspWeaknesses.
+const CSP_CATEGORIES = ["csp-unsafe-eval", "csp-unsafe-inline", "csp-remote-script"];
+
+// Sources that do not allow code from elsewhere.
+const R_LOCAL_SOURCE =
+    /^(?:'(?:self|none|strict-dynamic|report-sample|wasm-unsafe-eval|unsafe-hashes)'|'(?:nonce|sha256|sha384|sha512)-.*'|(?:blob|filesystem|moz-extension|chrome-extension):)$/i;
+
+// Returns the policies in the manifest, as an array of objects with the name
+// of the policy ("content_security_policy" for the string of Manifest Version
+// 2, else the key in the object, e.g. "extension_pages") and the policy.
+function getPolicies(manifest) {
+    let csp = manifest.content_security_policy;
+    if (typeof csp === "string") {
+        return [{ name: "content_security_policy", policy: csp }];
+    }
+    if (typeof csp !== "object" || csp === null) {
+        return [];
+    }
+    return Object.entries(csp).filter(([, policy]) => typeof policy === "string")
+        .map(([name, policy]) => ({ name, policy }));
+}
+
+// Parses a policy. Returns a Map from the (lowercase) directive name to the
+// list of sources. Only the first occurrence of a directive counts.
+function parsePolicy(policy) {
+    let directives = new Map();
+    for (let directive of policy.split(";")) {
+        let [name, ...sources] = directive.trim().split(/\s+/);
+        if (name && !directives.has(name.toLowerCase())) {
+            directives.set(name.toLowerCase(), sources);
+        }
+    }
+    return directives;
+}
+
+/**
+ * Returns the weaknesses of the policies in the manifest, as an array of
+ * objects with:
+ * - category: one of CSP_CATEGORIES.
+ * - policy: the name of the policy, see getPolicies.
+ * - directive: e.g. "script-src", or "default-src" if script-src is missing.
+ * - source: the source that weakens the policy, e.g. "'unsafe-eval'".
+ */
+function findCspWeaknesses(manifest) {
+    let findings = [];
+    for (let { name, policy } of getPolicies(manifest)) {
+        let directives = parsePolicy(policy);
+        let directive = directives.has("script-src") ? "script-src" : "default-src";
+        for (let source of directives.get(directive) || []) {
+            let category;
+            if (source.toLowerCase() === "'unsafe-eval'") {
+                category = "csp-unsafe-eval";
+            } else if (source.toLowerCase() === "'unsafe-inline'") {
+                category = "csp-unsafe-inline";
+            } else if (!R_LOCAL_SOURCE.test(source)) {
+                category = "csp-remote-script";
+            }
+            if (category) {
+                findings.push({ category, policy: name, directive, source });
+            }
+        }
+    }
+    return findings;
+}
+
+exports.CSP_CATEGORIES = CSP_CATEGORIES;
+exports.findCspWeaknesses = findCspWeaknesses;
+exports.getPolicies = getPolicies;
+exports.parsePolicy = parsePolicy;
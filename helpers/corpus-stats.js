@@ -0,0 +1,174 @@
+"use strict";
+
+/**
+ * Aggregates statistics about a corpus of extensions: for each group (e.g.
+ * "permissions") and value (e.g. "tabs"), how many extensions have the value,
+ * and how many users these extensions have in total (weighted by users).
+ *
+ * Usage:
+ * const stats = new CorpusStats({ weighted: true });
+ * stats.addGroup("permissions");
+ * stats.addExtension(1000, new Map([["permissions", ["tabs", "storage"]]]));
+ * console.log(stats.format("table"));
+ */
+
+const { toCSVRow } = require("./csv");
+
+const FORMATS = ["table", "csv", "json"];
+
+function toPercent(count, total) {
+    return total ? Math.round(count / total * 10000) / 100 : 0;
+}
+
+class CorpusStats {
+    constructor({ weighted = true } = {}) {
+        this.weighted = weighted;
+        this.extensionCount = 0;
+        this.userCount = 0;
+        // Number of extensions whose user count is unknown. These extensions
+        // are counted as extensions, but do not contribute to users.
+        this.unknownUserCount = 0;
+        // Map from group name to Map from value to { extensions, users }.
+        this.groups = new Map();
+    }
+
+    // Declares a group. Groups are output in the order of declaration, even if
+    // no extension has any value in the group.
+    addGroup(groupName) {
+        if (!this.groups.has(groupName)) {
+            this.groups.set(groupName, new Map());
+        }
+    }
+
+    // userCount is the number of users of the extension, or -1 if unknown.
+    // valuesByGroup is a Map from group name to an iterable of values
+    // (strings). Duplicate values are counted once.
+    addExtension(userCount, valuesByGroup) {
+        if (userCount < 0) {
+            ++this.unknownUserCount;
+            userCount = 0;
+        }
+        ++this.extensionCount;
+        this.userCount += userCount;
+        for (let [groupName, values] of valuesByGroup) {
+            this.addGroup(groupName);
+            let counts = this.groups.get(groupName);
+            for (let value of new Set(values)) {
+                let count = counts.get(value);
+                if (!count) {
+                    count = { extensions: 0, users: 0 };
+                    counts.set(value, count);
+                }
+                ++count.extensions;
+                count.users += userCount;
+            }
+        }
+    }
+
+    // Returns the statistics as a JSON-serializable object. Values are sorted
+    // by number of users (if weighted) and extensions, in descending order.
+    // If top is set, only the first top values of each group are included.
+    getResults(top) {
+        let results = {
+            total: { extensions: this.extensionCount },
+            groups: {},
+        };
+        if (this.weighted) {
+            results.total.users = this.userCount;
+            results.total.unknownUsers = this.unknownUserCount;
+        }
+        for (let [groupName, counts] of this.groups) {
+            let rows = Array.from(counts, ([value, count]) => {
+                let row = {
+                    value,
+                    extensions: count.extensions,
+                    extensionsPercent: toPercent(count.extensions, this.extensionCount),
+                };
+                if (this.weighted) {
+                    row.users = count.users;
+                    row.usersPercent = toPercent(count.users, this.userCount);
+                }
+                return row;
+            });
+            rows.sort((a, b) => {
+                return this.weighted && b.users - a.users ||
+                    b.extensions - a.extensions ||
+                    (a.value < b.value ? -1 : a.value > b.value ? 1 : 0);
+            });
+            results.groups[groupName] = top ? rows.slice(0, top) : rows;
+        }
+        return results;
+    }
+
+    // Returns the statistics as a string, format is one of FORMATS.
+    format(format, top) {
+        let results = this.getResults(top);
+        if (format === "json") {
+            return JSON.stringify(results, null, 2);
+        }
+        if (format === "csv") {
+            return this._formatCSV(results);
+        }
+        if (format === "table") {
+            return this._formatTable(results);
+        }
+        throw new Error(`Unsupported format: ${format}
+Choose one of: ${FORMATS.join(", ")}`);
+    }
+
+    _formatCSV(results) {
+        let header = ["group", "value", "extensions", "extensions_percent"];
+        if (this.weighted) {
+            header.push("users", "users_percent");
+        }
+        let lines = [toCSVRow(header)];
+        for (let [groupName, rows] of Object.entries(results.groups)) {
+            for (let row of rows) {
+                let fields = [groupName, row.value, row.extensions, row.extensionsPercent];
+                if (this.weighted) {
+                    fields.push(row.users, row.usersPercent);
+                }
+                lines.push(toCSVRow(fields));
+            }
+        }
+        return lines.join("\n");
+    }
+
+    _formatTable(results) {
+        let { total } = results;
+        let summary = `Extensions: ${total.extensions}`;
+        if (this.weighted) {
+            summary += `, users: ${total.users}`;
+            if (total.unknownUsers) {
+                summary += ` (user count unknown for ${total.unknownUsers} extensions)`;
+            }
+        }
+        let lines = [summary];
+        for (let [groupName, rows] of Object.entries(results.groups)) {
+            let table = [[groupName, "extensions", "%"]];
+            if (this.weighted) {
+                table[0].push("users", "%");
+            }
+            for (let row of rows) {
+                let cells = [row.value, row.extensions, row.extensionsPercent.toFixed(2)];
+                if (this.weighted) {
+                    cells.push(row.users, row.usersPercent.toFixed(2));
+                }
+                table.push(cells.map(String));
+            }
+            let widths = table[0].map((_, i) => Math.max(...table.map(cells => cells[i].length)));
+            lines.push("");
+            for (let cells of table) {
+                // Left-align the value, right-align the numbers.
+                lines.push(cells.map((cell, i) => {
+                    return i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]);
+                }).join("  ").trimEnd());
+            }
+        }
+        return lines.join("\n");
+    }
+}
+
+CorpusStats.FORMATS = FORMATS;
+
+module.exports = CorpusStats;
@@ -0,0 +1,14 @@
+"use strict";
+
+// Formats values as a line of CSV (RFC 4180), quoting fields if needed.
+function toCSVRow(values) {
+    return values.map(value => {
+        value = String(value);
+        if (/[",\r\n]/.test(value)) {
+            return `"${value.replace(/"/g, '""')}"`;
+        }
+        return value;
+    }).join(",");
+}
+
+exports.toCSVRow = toCSVRow;
@@ -0,0 +1,55 @@
+"use strict";
+
+/**
+ * Cache of per-extension data (e.g. the parsed manifest or the file listing),
+ * to avoid repeated work when multiple filters look at the same extension.
+ *
+ * Only the most recently used extensions are kept, because the input usually
+ * lists all files of an extension together, and because the corpus is too
+ * large to keep everything in memory.
+ *
+ * Usage:
+ * const cache = new ExtensionCache(1000);
+ * const manifest = await cache.get(extdir, "manifest", () => readManifest());
+ */
+class ExtensionCache {
+    constructor(maxSize) {
+        this.maxSize = maxSize; // Maximum number of extensions in the cache.
+        // Map from extdir to Map from key to the (promise for the) value.
+        // The Map is ordered from least to most recently used.
+        this.entries = new Map();
+    }
+
+    // Returns the value for extdir and key. If not cached, compute() is called
+    // and its return value is cached. Rejected promises are cached too, so
+    // that all callers see the same error.
+    get(extdir, key, compute) {
+        let values = this.entries.get(extdir);
+        if (values) {
+            // Move to the end (= most recently used).
+            this.entries.delete(extdir);
+        } else {
+            values = new Map();
+            if (this.entries.size >= this.maxSize) {
+                this.entries.delete(this.entries.keys().next().value);
+            }
+        }
+        this.entries.set(extdir, values);
+        if (!values.has(key)) {
+            let value;
+            try {
+                value = compute();
+            } catch (e) {
+                value = Promise.reject(e);
+            }
+            if (value instanceof Promise) {
+                // Avoid unhandled rejection warnings if nobody awaits it.
+                value.catch(() => {});
+            }
+            values.set(key, value);
+        }
+        return values.get(key);
+    }
+}
+
+module.exports = ExtensionCache;
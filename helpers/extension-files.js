@@ -0,0 +1,194 @@
+"use strict";
+
+/**
+ * Read files from an extension, regardless of whether it is an unpacked
+ * directory or an archive (.xpi, .zip or .crx).
+ *
+ * Usage:
+ *
+ * const ext = await openExtension("/path/to/extension.xpi");
+ * const files = await ext.listFiles(); // e.g. ["manifest.json", "bg/main.js"]
+ * const manifestJsonData = await ext.readFile("manifest.json", "utf-8");
+ * const size = await ext.getFileSize("manifest.json"); // In bytes.
+ */
+
+const path = require("path");
+const util = require("util");
+const zlib = require("zlib");
+
+const fs = require("graceful-fs");
+const fsReadFile = util.promisify(fs.readFile);
+const fsReadDir = util.promisify(fs.readdir);
+const fsStat = util.promisify(fs.stat);
+const inflateRaw = util.promisify(zlib.inflateRaw);
+
+const R_ARCHIVE_PATH = /\.(?:xpi|zip|crx)$/i;
+
+const SIG_EOCD = 0x06054b50; // End of central directory record.
+const SIG_CDFH = 0x02014b50; // Central directory file header.
+const SIG_LFH = 0x04034b50; // Local file header.
+const SIG_CRX = 0x34327243; // "Cr24"
+
+function isArchivePath(filepath) {
+    return R_ARCHIVE_PATH.test(filepath);
+}
+
+class ExtensionDirectory {
+    constructor(extdir) {
+        this.extdir = extdir;
+    }
+
+    // Returns the relative paths of all files in the extension, with "/" as
+    // the path separator.
+    async listFiles() {
+        // Note: fs.readdir + recursive:true is synchronous in practice:
+        // https://github.com/nodejs/node/issues/51749
+        let entries = await fsReadDir(this.extdir, {
+            withFileTypes: true,
+            // recursive, without following symlinks:
+            recursive: true,
+        });
+        // Ignore non-files (directories, symlinks, etc.)
+        entries = entries.filter(de => de.isFile());
+        // parentPath: Node v21.4.0+ / (deprecated) path: Node v18.17.0+
+        return entries.map(de => {
+            let filepath = path.join(de.parentPath || de.path, de.name);
+            return path.relative(this.extdir, filepath).split(path.sep).join("/");
+        });
+    }
+
+    async readFile(relPath, encoding) {
+        return fsReadFile(path.join(this.extdir, relPath), { encoding });
+    }
+
+    // Returns the size of the file in bytes.
+    async getFileSize(relPath) {
+        return (await fsStat(path.join(this.extdir, relPath))).size;
+    }
+}
+
+class ExtensionArchive {
+    constructor(archivePath, buffer) {
+        this.archivePath = archivePath;
+        this.buffer = buffer;
+        // Map from file name to central directory entry.
+        this.entries = parseZipEntries(buffer);
+    }
+
+    async listFiles() {
+        return Array.from(this.entries.keys()).filter(name => !name.endsWith("/"));
+    }
+
+    async readFile(relPath, encoding) {
+        const entry = this.entries.get(relPath);
+        if (!entry) {
+            let err = new Error(`File not found in ${this.archivePath}: ${relPath}`);
+            err.code = "ENOENT";
+            throw err;
+        }
+        const buf = this.buffer;
+        const offset = entry.localHeaderOffset;
+        if (buf.readUInt32LE(offset) !== SIG_LFH) {
+            throw new Error(`Invalid local file header for ${relPath}`);
+        }
+        const dataStart = offset + 30 + buf.readUInt16LE(offset + 26) +
+            buf.readUInt16LE(offset + 28);
+        const data = buf.subarray(dataStart, dataStart + entry.compressedSize);
+        let content;
+        if (entry.method === 0) {
+            content = data;
+        } else if (entry.method === 8) {
+            content = await inflateRaw(data);
+        } else {
+            throw new Error(`Unsupported compression method ${entry.method} for ${relPath}`);
+        }
+        return encoding ? content.toString(encoding) : content;
+    }
+
+    // Returns the (uncompressed) size of the file in bytes.
+    async getFileSize(relPath) {
+        const entry = this.entries.get(relPath);
+        if (!entry) {
+            let err = new Error(`File not found in ${this.archivePath}: ${relPath}`);
+            err.code = "ENOENT";
+            throw err;
+        }
+        return entry.uncompressedSize;
+    }
+}
+
+// Returns the offset where the zip data starts. Archives from the Chrome Web
+// Store (CRX2 and CRX3) have a header before the zip data.
+function getZipStartOffset(buffer) {
+    if (buffer.length < 16 || buffer.readUInt32LE(0) !== SIG_CRX) {
+        return 0;
+    }
+    const version = buffer.readUInt32LE(4);
+    if (version === 2) {
+        // magic, version, public key length, signature length, key, signature.
+        return 16 + buffer.readUInt32LE(8) + buffer.readUInt32LE(12);
+    }
+    if (version === 3) {
+        // magic, version, header length, header (protobuf).
+        return 12 + buffer.readUInt32LE(8);
+    }
+    throw new Error(`Unsupported CRX version: ${version}`);
+}
+
+function parseZipEntries(buffer) {
+    const zipStart = getZipStartOffset(buffer);
+    // The end of central directory record is at the end of the file, possibly
+    // followed by a comment of at most 0xFFFF bytes.
+    let eocd = -1;
+    for (let i = buffer.length - 22; i >= Math.max(zipStart, buffer.length - 22 - 0xFFFF); --i) {
+        if (buffer.readUInt32LE(i) === SIG_EOCD) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd === -1) {
+        throw new Error("Not a zip file: end of central directory not found");
+    }
+    const entryCount = buffer.readUInt16LE(eocd + 10);
+    const cdSize = buffer.readUInt32LE(eocd + 12);
+    const cdOffset = buffer.readUInt32LE(eocd + 16);
+    if (entryCount === 0xFFFF || cdOffset === 0xFFFFFFFF) {
+        throw new Error("Zip64 archives are not supported");
+    }
+    // Offsets are usually relative to the start of the zip data, but some
+    // tools write offsets relative to the start of the file (e.g. when the zip
+    // data was prefixed by a CRX header). The central directory immediately
+    // precedes the end of central directory record, so use that to calibrate.
+    const delta = eocd - cdSize - cdOffset;
+
+    const entries = new Map();
+    let pos = cdOffset + delta;
+    for (let i = 0; i < entryCount; ++i) {
+        if (buffer.readUInt32LE(pos) !== SIG_CDFH) {
+            throw new Error("Invalid central directory file header");
+        }
+        const nameLength = buffer.readUInt16LE(pos + 28);
+        const extraLength = buffer.readUInt16LE(pos + 30);
+        const commentLength = buffer.readUInt16LE(pos + 32);
+        const name = buffer.toString("utf-8", pos + 46, pos + 46 + nameLength);
+        entries.set(name, {
+            method: buffer.readUInt16LE(pos + 10),
+            compressedSize: buffer.readUInt32LE(pos + 20),
+            uncompressedSize: buffer.readUInt32LE(pos + 24),
+            localHeaderOffset: buffer.readUInt32LE(pos + 42) + delta,
+        });
+        pos += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+async function openExtension(extdir) {
+    if (isArchivePath(extdir)) {
+        return new ExtensionArchive(extdir, await fsReadFile(extdir));
+    }
+    return new ExtensionDirectory(extdir);
+}
+
+exports.isArchivePath = isArchivePath;
+exports.openExtension = openExtension;
+exports.parseZipEntries = parseZipEntries; // for testing.
@@ -0,0 +1,275 @@
+"use strict";
+
+/**
+ * Builds an inventory of the scripts of an extension, based on manifest.json,
+ * and tags each script with the context(s) where it runs:
+ *
+ * - background: background scripts, background page or service worker, and
+ *   the scripts that they load with static imports or importScripts().
+ * - content: content scripts.
+ * - page: extension pages such as popups, options pages and sidebars.
+ * - web_accessible: web-accessible scripts and pages.
+ * - unreferenced: scripts that are not referenced by any of the above.
+ *
+ * Scripts in extension pages are found by parsing <script> tags, including
+ * inline scripts.
+ */
+
+const path = require("path");
+
+const CONTEXTS = ["background", "content", "page", "web_accessible", "unreferenced"];
+
+const R_SCRIPT_FILE = /\.m?js$/i;
+const R_HTML_FILE = /\.html?$/i;
+
+// Returns a normalized path relative to the extension root, or null if the
+// URL is not a file in the extension.
+function resolveExtensionPath(url, baseDir = "") {
+    if (typeof url !== "string" || !url) {
+        return null;
+    }
+    url = url.replace(/[?#].*$/, "");
+    if (/^[a-z][a-z0-9+.-]*:|^\/\//i.test(url)) {
+        // Absolute URL, e.g. https://example.com/script.js
+        return null;
+    }
+    try {
+        url = decodeURI(url);
+    } catch (e) {
+        // Keep the original URL.
+    }
+    let relPath = url.startsWith("/") ?
+        path.posix.normalize(url) :
+        path.posix.join("/", baseDir, url);
+    return relPath.replace(/^\/+/, "") || null;
+}
+
+// Returns the scripts in an HTML document, as an array of objects with either
+// "src" (the resolved path of an external script) or "sourceText" (inline).
+function parseHtmlScripts(html, htmlPath) {
+    const baseDir = path.posix.dirname(htmlPath);
+    let scripts = [];
+    let rScript = /<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi;
+    let match;
+    while ((match = rScript.exec(html))) {
+        let attributes = match[1];
+        let src = /\bsrc\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i.exec(attributes);
+        let type = /\btype\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i.exec(attributes);
+        type = type ? (type[1] || type[2] || type[3] || "").toLowerCase() : "";
+        if (type && !/^(module|(text|application)\/(java|ecma)script)$/.test(type)) {
+            // E.g. JSON or a template.
+            continue;
+        }
+        if (src) {
+            let relPath = resolveExtensionPath(src[1] || src[2] || src[3], baseDir);
+            if (relPath) {
+                scripts.push({ src: relPath });
+            }
+        } else if (match[2].trim()) {
+            scripts.push({ sourceText: match[2] });
+        }
+    }
+    return scripts;
+}
+
+// Returns the resolved paths of the scripts that a script loads with static
+// imports (import/export ... from "./x.js", or import "./x.js") or
+// importScripts() with string literals. Dynamic import() is not followed.
+function parseScriptImports(sourceText, scriptPath) {
+    const baseDir = path.posix.dirname(scriptPath);
+    let specifiers = [];
+    let rImport = /(?:^|[;})\s])(?:import|export)\s*(?:[\w$*{}\s,]+?\bfrom\s*)?(["'])([^"'\n]+)\1/g;
+    let match;
+    while ((match = rImport.exec(sourceText))) {
+        // Bare module specifiers (e.g. "lodash") cannot be imported by
+        // extensions.
+        if (/^\.{0,2}\//.test(match[2])) {
+            specifiers.push(match[2]);
+        }
+    }
+    let rImportScripts = /\bimportScripts\s*\(([^)]*)\)/g;
+    while ((match = rImportScripts.exec(sourceText))) {
+        let rString = /(["'])([^"'\n]+)\1/g;
+        let stringMatch;
+        while ((stringMatch = rString.exec(match[1]))) {
+            specifiers.push(stringMatch[2]);
+        }
+    }
+    return specifiers.map(s => resolveExtensionPath(s, baseDir)).filter(Boolean);
+}
+
+// Converts a glob where "*" matches any characters, including "/", to a
+// RegExp, e.g. a web_accessible_resources pattern or the path of a match
+// pattern.
+function globToRegExp(glob) {
+    let pattern = glob.split("*").map(
+        part => part.replace(/[\\^$.+?()[\]{}|]/g, "\\$&")
+    ).join(".*");
+    return new RegExp(`^${pattern}$`);
+}
+
+// Returns the paths of pages of the extension (excluding the background page).
+function getExtensionPages(manifest) {
+    let pages = [];
+    for (let key of ["action", "browser_action", "page_action"]) {
+        if (manifest[key]) {
+            pages.push(manifest[key].default_popup);
+        }
+    }
+    pages.push(manifest.options_page);
+    if (manifest.options_ui) {
+        pages.push(manifest.options_ui.page);
+    }
+    if (manifest.sidebar_action) {
+        pages.push(manifest.sidebar_action.default_panel);
+    }
+    if (manifest.side_panel) {
+        pages.push(manifest.side_panel.default_path);
+    }
+    pages.push(manifest.devtools_page);
+    if (manifest.chrome_url_overrides) {
+        pages.push(...Object.values(manifest.chrome_url_overrides));
+    }
+    if (manifest.sandbox && Array.isArray(manifest.sandbox.pages)) {
+        pages.push(...manifest.sandbox.pages);
+    }
+    return pages;
+}
+
+function getWebAccessibleResources(manifest) {
+    let war = manifest.web_accessible_resources;
+    if (!Array.isArray(war)) {
+        return [];
+    }
+    let resources = [];
+    for (let entry of war) {
+        if (typeof entry === "string") {
+            // Manifest V2
+            resources.push(entry);
+        } else if (entry && Array.isArray(entry.resources)) {
+            // Manifest V3
+            resources.push(...entry.resources);
+        }
+    }
+    // Relative to the extension root, also with a leading "/".
+    return resources.filter(r => typeof r === "string").map(r => r.replace(/^\/+/, ""));
+}
+
+/**
+ * @param {object} ext - Extension from openExtension (extension-files.js).
+ * @param {object} manifest - The parsed manifest.json file.
+ * @returns {Promise<object[]>} Array of scripts, as objects with "fileName"
+ *   (a path relative to the extension root, or "page.html#inline-script-N"),
+ *   "contexts" (array of contexts where the script runs) and "sourceText"
+ *   (only for inline scripts).
+ */
+async function getScriptInventory(ext, manifest) {
+    const allFiles = await ext.listFiles();
+    const allFilesSet = new Set(allFiles);
+    // Map from file name to { fileName, contexts: Set, sourceText }.
+    const scripts = new Map();
+    const visitedPages = new Set();
+    const visitedBackgroundScripts = new Set();
+
+    function addScript(fileName, context, sourceText) {
+        if (!scripts.has(fileName)) {
+            scripts.set(fileName, { fileName, contexts: new Set(), sourceText });
+        }
+        scripts.get(fileName).contexts.add(context);
+    }
+    function addScriptFile(relPath, context) {
+        relPath = resolveExtensionPath(relPath);
+        if (relPath && allFilesSet.has(relPath)) {
+            addScript(relPath, context);
+        }
+    }
+    // Adds a background script, and the scripts that it imports.
+    async function addBackgroundScript(relPath) {
+        relPath = resolveExtensionPath(relPath);
+        if (!relPath || !allFilesSet.has(relPath) || visitedBackgroundScripts.has(relPath)) {
+            return;
+        }
+        visitedBackgroundScripts.add(relPath);
+        addScript(relPath, "background");
+        let sourceText = await ext.readFile(relPath, "utf-8");
+        for (let imported of parseScriptImports(sourceText, relPath)) {
+            await addBackgroundScript(imported);
+        }
+    }
+    async function addPage(relPath, context) {
+        relPath = resolveExtensionPath(relPath);
+        if (!relPath || !allFilesSet.has(relPath)) {
+            return;
+        }
+        let pageKey = `${context}:${relPath}`;
+        if (visitedPages.has(pageKey)) {
+            return;
+        }
+        visitedPages.add(pageKey);
+        let html = await ext.readFile(relPath, "utf-8");
+        let inlineCount = 0;
+        for (let script of parseHtmlScripts(html, relPath)) {
+            if (script.src && context === "background") {
+                await addBackgroundScript(script.src);
+            } else if (script.src) {
+                addScriptFile(script.src, context);
+            } else {
+                let fileName = `${relPath}#inline-script-${++inlineCount}`;
+                addScript(fileName, context, script.sourceText);
+            }
+        }
+    }
+
+    let background = manifest.background || {};
+    if (Array.isArray(background.scripts)) {
+        for (let script of background.scripts) {
+            await addBackgroundScript(script);
+        }
+    }
+    await addBackgroundScript(background.service_worker);
+    await addPage(background.page, "background");
+
+    if (Array.isArray(manifest.content_scripts)) {
+        for (let cs of manifest.content_scripts) {
+            if (cs && Array.isArray(cs.js)) {
+                cs.js.forEach(s => addScriptFile(s, "content"));
+            }
+        }
+    }
+
+    for (let page of getExtensionPages(manifest)) {
+        await addPage(page, "page");
+    }
+
+    let warRegExps = getWebAccessibleResources(manifest).map(globToRegExp);
+    for (let file of allFiles) {
+        if (!warRegExps.some(re => re.test(file))) {
+            continue;
+        }
+        if (R_SCRIPT_FILE.test(file)) {
+            addScript(file, "web_accessible");
+        } else if (R_HTML_FILE.test(file)) {
+            await addPage(file, "web_accessible");
+        }
+    }
+
+    for (let file of allFiles) {
+        if (R_SCRIPT_FILE.test(file) && !scripts.has(file)) {
+            addScript(file, "unreferenced");
+        }
+    }
+
+    return Array.from(scripts.values(), script => {
+        let result = { fileName: script.fileName, contexts: Array.from(script.contexts) };
+        if (script.sourceText !== undefined) {
+            result.sourceText = script.sourceText;
+        }
+        return result;
+    });
+}
+
+exports.CONTEXTS = CONTEXTS;
+exports.getScriptInventory = getScriptInventory;
+exports.globToRegExp = globToRegExp;
+exports.parseHtmlScripts = parseHtmlScripts; // for testing.
+exports.parseScriptImports = parseScriptImports; // for testing.
@@ -0,0 +1,249 @@
+"use strict";
+
+/**
+ * Resolves the root of an extension for a given file path, based on a list of
+ * known directory layouts. Most layouts are regular expressions that do not
+ * need disk access; the "manifest" layout looks for the nearest ancestor
+ * directory that contains a manifest.json file.
+ *
+ * Additional layouts can be declared in a JSON file (WEBEXTANAL_LAYOUTS_FILE)
+ * or directly in the WEBEXTANAL_LAYOUTS environment variable. The JSON is an
+ * object that maps layout names to a layout definition, which is either:
+ * - A string, the source of a regular expression. The matched part of the
+ *   path is the extension root. Named capture groups are exposed as "groups".
+ * - An object with the "pattern" key, equivalent to the above.
+ * - An object with "type": "manifest", for the "nearest manifest.json" layout.
+ *
+ * Example:
+ * {
+ *   "cws": "^(?:.*\/)?[a-p]{32}\/[^/]+(?=\/|$)",
+ *   "fixtures": { "type": "manifest" }
+ * }
+ */
+
+const path = require("path");
+const util = require("util");
+
+const fs = require("graceful-fs");
+const fsReadFile = util.promisify(fs.readFile);
+const fsStat = util.promisify(fs.stat);
+
+function createRegExpLayout(name, pattern) {
+    let regex;
+    try {
+        regex = pattern instanceof RegExp ? pattern : new RegExp(pattern);
+    } catch (e) {
+        throw new Error(`Invalid pattern for layout "${name}": ${e.message}`);
+    }
+    return {
+        name,
+        async resolve(filepath) {
+            let match = regex.exec(filepath);
+            if (match && match[0]) {
+                return { extdir: match[0], groups: Object.assign({}, match.groups) };
+            }
+            return null;
+        },
+    };
+}
+
+function createNearestManifestLayout(name) {
+    async function hasManifest(dir) {
+        try {
+            return (await fsStat(path.join(dir, "manifest.json"))).isFile();
+        } catch (e) {
+            return false;
+        }
+    }
+    return {
+        name,
+        async resolve(filepath) {
+            let dir = filepath.replace(/\/+$/, "") || "/";
+            for (let parentDir = dir; ; dir = parentDir) {
+                if (await hasManifest(dir)) {
+                    return { extdir: dir, groups: {} };
+                }
+                parentDir = path.dirname(dir);
+                if (parentDir === dir) {
+                    return null;
+                }
+            }
+        },
+    };
+}
+
+function createUnzippedLayout(name) {
+    // Extracted files from the network share have the following format:
+    // mnt/ebs/ unzipped/ 1 / <digits> / <single digit> / <digits> / <digits> /
+    // May also be unzipped_banned.
+    // Digits: / addontype-id / addon-id / channel-id / version-id / file-id /
+    // The ids are exposed as the groups addonid, channelid, versionid and fileid.
+    const regexLayout = createRegExpLayout(
+        name,
+        /^(?:.*\/)?unzipped\/1\/(?<addonid>\d+)\/(?<channelid>\d)\/(?<versionid>\d+)\/(?<fileid>\d+)(?=\/|$)/
+    );
+
+    let cwdDir;
+    let regexUnzipped;
+
+    function resolveRelativeToCwd(filepath) {
+        if (!cwdDir) {
+            cwdDir = process.cwd() + "/";
+        }
+        if (!regexUnzipped) {
+            // Pattern to match the directory based on the full path. It accepts
+            // "/" and "/./" as path separator, to support the case when
+            // "filepath" starts with "./", searching from a subdirectory of
+            // "zipped" (but not yet an extension directory), e.g.
+            // cwdDir = "unzipped/1/".
+            regexUnzipped = new RegExp([
+                // Prefix:
+                '^(?:.*/)?unzipped[^/]*',
+                // addontype-id:
+                '1',
+                // addon-id:
+                '(?<addonid>\\d+)',
+                // channel-id:
+                '(?<channelid>\\d+)',
+                // version-id:
+                '(?<versionid>\\d+)',
+                // file-id, followed by components inside extension directory:
+                // Match "/." if needed, in case the input starts with "."
+                '(?<fileid>\\d+)(/\\.|(?=/|$))',
+            ].join('/(?:\\./)?'));
+        }
+
+        let abspath = cwdDir + filepath;
+        let match = regexUnzipped.exec(abspath);
+        if (match && cwdDir.length < match[0].length) {
+            // Strip cwdDir (since it is not part of the input), and strip the
+            // file components at the end (since we want to match the extension
+            // rootdir).
+            return {
+                extdir: abspath.slice(cwdDir.length, match[0].length),
+                groups: Object.assign({}, match.groups),
+            };
+        }
+        return null;
+    }
+
+    return {
+        name,
+        async resolve(filepath) {
+            return (await regexLayout.resolve(filepath)) ||
+                resolveRelativeToCwd(filepath);
+        },
+    };
+}
+
+function createLayoutFromDefinition(name, definition) {
+    if (typeof definition === "string") {
+        return createRegExpLayout(name, definition);
+    }
+    if (definition && typeof definition.pattern === "string") {
+        return createRegExpLayout(name, definition.pattern);
+    }
+    if (definition && definition.type === "manifest") {
+        return createNearestManifestLayout(name);
+    }
+    throw new Error(`Invalid definition for layout "${name}": ${JSON.stringify(definition)}`);
+}
+
+function getBuiltinLayouts() {
+    return [
+        // webextaware creates the following directory structure:
+        // . / <numeric id> / <64 chars of hex hash> /
+        createRegExpLayout(
+            "webextaware",
+            /^(?:.*\/)?(?<amoid>\d+)\/[a-f0-9]{64}(?=\/| |$)/
+        ),
+        createUnzippedLayout("unzipped"),
+        // Archives (.xpi, .zip, .crx) are read without unpacking. The archive
+        // path may be followed by the path of a file within the archive, e.g.
+        // /path/to/extension.xpi/manifest.json
+        createRegExpLayout("archive", /^(?:.*\/)?[^/]+\.(?:xpi|zip|crx)(?=\/|$)/i),
+    ];
+}
+
+class ExtensionLayouts {
+    constructor() {
+        // Layouts to try, in order, by default (i.e. without select()).
+        this.defaultLayouts = getBuiltinLayouts();
+        // All known layouts by name, including those that are not tried by
+        // default because they require disk access.
+        this.layoutsByName = new Map();
+        for (let layout of this.defaultLayouts) {
+            this.layoutsByName.set(layout.name, layout);
+        }
+        this.layoutsByName.set("manifest", createNearestManifestLayout("manifest"));
+        this.selectedLayouts = this.defaultLayouts;
+    }
+
+    static async fromEnvironment(env = process.env) {
+        let layouts = new ExtensionLayouts();
+        if (env.WEBEXTANAL_LAYOUTS_FILE) {
+            let json;
+            try {
+                json = await fsReadFile(env.WEBEXTANAL_LAYOUTS_FILE, { encoding: "utf-8" });
+            } catch (e) {
+                throw new Error(`Unable to read WEBEXTANAL_LAYOUTS_FILE: ${e}`);
+            }
+            layouts.addLayoutsFromJSON(json, env.WEBEXTANAL_LAYOUTS_FILE);
+        }
+        if (env.WEBEXTANAL_LAYOUTS) {
+            layouts.addLayoutsFromJSON(env.WEBEXTANAL_LAYOUTS, "WEBEXTANAL_LAYOUTS");
+        }
+        return layouts;
+    }
+
+    addLayoutsFromJSON(json, source) {
+        let definitions;
+        try {
+            definitions = JSON.parse(json);
+        } catch (e) {
+            throw new Error(`Invalid JSON in ${source}: ${e.message}`);
+        }
+        if (typeof definitions !== "object" || definitions === null ||
+            Array.isArray(definitions)) {
+            throw new Error(`${source} must contain a JSON object`);
+        }
+        for (let [name, definition] of Object.entries(definitions)) {
+            this.addLayout(createLayoutFromDefinition(name, definition));
+        }
+    }
+
+    addLayout(layout) {
+        if (this.layoutsByName.has(layout.name)) {
+            throw new Error(`Duplicate layout name: ${layout.name}`);
+        }
+        this.layoutsByName.set(layout.name, layout);
+        this.defaultLayouts.push(layout);
+    }
+
+    // Restrict the layouts to the given comma-separated list of layout names.
+    select(names) {
+        this.selectedLayouts = names.split(",").map(name => {
+            let layout = this.layoutsByName.get(name);
+            if (!layout) {
+                throw new Error(`Unknown layout: ${name}
+Choose one of: ${Array.from(this.layoutsByName.keys()).join(" ")}`);
+            }
+            return layout;
+        });
+    }
+
+    // Returns { extdir, groups, layout } for the first layout that matches
+    // filepath, or null if there is no match.
+    async resolve(filepath) {
+        for (let layout of this.selectedLayouts) {
+            let result = await layout.resolve(filepath);
+            if (result) {
+                result.layout = layout.name;
+                return result;
+            }
+        }
+        return null;
+    }
+}
+
+module.exports = ExtensionLayouts;
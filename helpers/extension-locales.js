@@ -0,0 +1,158 @@
+"use strict";
+
+/**
+ * Resolves __MSG_name__ placeholders in manifest.json, with the messages in
+ * _locales/<locale>/messages.json of the extension, e.g.:
+ *
+ * manifest.json: { "name": "__MSG_extName__", "default_locale": "en" }
+ * _locales/en/messages.json: { "extName": { "message": "My extension" } }
+ *
+ * Usage:
+ * const ext = await openExtension(extdir);
+ * const warnings = [];
+ * const localized = await localizeManifest(ext, manifest, "de", w => warnings.push(w));
+ * localized.name; // "Meine Erweiterung", or "My extension" without German.
+ */
+
+const stripJsonComments = require("strip-json-comments");
+
+const R_MESSAGE_PLACEHOLDER = /__MSG_([A-Za-z0-9_@]+?)__/g;
+
+// Value of the locale argument for the default_locale of the extension.
+const DEFAULT_LOCALE = "default";
+
+// Returns the locale directories to read for the locale, from most to least
+// specific, e.g. ["de_AT", "de"] for "de-AT".
+function getLocaleChain(locale) {
+    let parts = locale.replace(/-/g, "_").split("_");
+    let chain = [];
+    for (let i = parts.length; i > 0; --i) {
+        chain.push(parts.slice(0, i).join("_"));
+    }
+    return chain;
+}
+
+// Reads _locales/<locale>/messages.json. Returns a Map from the lowercased
+// message name (names are case-insensitive) to the message, or null if the
+// file does not exist.
+async function readMessages(ext, locale) {
+    let relPath = `_locales/${locale}/messages.json`;
+    let data;
+    try {
+        data = await ext.readFile(relPath, "utf-8");
+    } catch (e) {
+        if (e.code === "ENOENT") {
+            return null;
+        }
+        throw new Error(`Failed to read ${relPath}: ${e.message}`);
+    }
+    if (data.startsWith("\uFEFF")) {
+        data = data.slice(1);
+    }
+    let json;
+    try {
+        json = JSON.parse(stripJsonComments(data));
+    } catch (e) {
+        throw new Error(`Invalid ${relPath}: ${e.message}`);
+    }
+    if (typeof json !== "object" || json === null) {
+        throw new Error(`Invalid ${relPath}: not an object`);
+    }
+    let messages = new Map();
+    for (let [name, entry] of Object.entries(json)) {
+        if (entry && typeof entry.message === "string") {
+            messages.set(name.toLowerCase(), entry.message);
+        }
+    }
+    return messages;
+}
+
+// Returns true if any string in the value has a __MSG_ placeholder.
+function hasPlaceholders(value) {
+    if (typeof value === "string") {
+        return value.includes("__MSG_");
+    }
+    if (typeof value === "object" && value !== null) {
+        return Object.values(value).some(hasPlaceholders);
+    }
+    return false;
+}
+
+/**
+ * Returns a copy of the manifest with the __MSG_ placeholders in all strings
+ * replaced by the messages of the locale, falling back to the default_locale
+ * of the manifest. Unknown messages are kept as-is.
+ *
+ * @param {object} ext - The extension, see openExtension.
+ * @param {object} manifest - The parsed manifest.json.
+ * @param {string} locale - e.g. "de" or "pt-BR", or DEFAULT_LOCALE.
+ * @param {function} warn - Called with a message for missing or broken locale
+ *   files and unknown messages.
+ */
+async function localizeManifest(ext, manifest, locale, warn) {
+    if (!hasPlaceholders(manifest)) {
+        return manifest;
+    }
+    let defaultLocale = manifest.default_locale;
+    if (typeof defaultLocale !== "string" || !defaultLocale) {
+        warn("manifest.json has __MSG_ placeholders, but no default_locale");
+        return manifest;
+    }
+    let defaultDir = getLocaleChain(defaultLocale)[0];
+    let locales = [defaultDir];
+    if (locale !== DEFAULT_LOCALE) {
+        locales = getLocaleChain(locale).filter(l => l !== defaultDir).concat(locales);
+    }
+    // Merged from least to most specific, so that specific messages win.
+    let messages = new Map();
+    for (let dir of locales.reverse()) {
+        let localeMessages;
+        try {
+            localeMessages = await readMessages(ext, dir);
+        } catch (e) {
+            warn(e.message);
+            continue;
+        }
+        if (!localeMessages) {
+            if (dir === defaultDir) {
+                warn(`Missing _locales/${dir}/messages.json for default_locale`);
+            }
+            continue;
+        }
+        for (let [name, message] of localeMessages) {
+            messages.set(name, message);
+        }
+    }
+    let unknownNames = new Set();
+    let localize = value => {
+        if (typeof value === "string") {
+            return value.replace(R_MESSAGE_PLACEHOLDER, (placeholder, name) => {
+                let message = messages.get(name.toLowerCase());
+                if (message === undefined) {
+                    unknownNames.add(name);
+                    return placeholder;
+                }
+                return message;
+            });
+        }
+        if (Array.isArray(value)) {
+            return value.map(localize);
+        }
+        if (typeof value === "object" && value !== null) {
+            let result = {};
+            for (let [key, v] of Object.entries(value)) {
+                result[key] = localize(v);
+            }
+            return result;
+        }
+        return value;
+    };
+    let localized = localize(manifest);
+    for (let name of unknownNames) {
+        warn(`Unknown message in manifest.json: __MSG_${name}__`);
+    }
+    return localized;
+}
+
+exports.DEFAULT_LOCALE = DEFAULT_LOCALE;
+exports.localizeManifest = localizeManifest;
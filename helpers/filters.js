@@ -0,0 +1,2398 @@
+"use strict";
+
+/**
+ * The filters of the filter command, for use from Node.js scripts:
+ *
+ * const { runFilters } = require("webextanal");
+ * for await (let result of runFilters(paths, ["permissions", "tabs"])) {
+ *     if (result.matched) {
+ *         console.log(result.extdir, result.annotations);
+ *     }
+ * }
+ *
+ * A filter spec is an array of command line arguments of the filter command,
+ * e.g. ["permissions", "tabs", "--then", "manifest", "manifest_version==3"].
+ * Options that apply to all filters (such as --layout, --cache-dir, --locale
+ * and --metadata of the command line) are set with configure().
+ */
+
+const path = require("path");
+const stripJsonComments = require('strip-json-comments');
+
+const weApiFinder = require("./we-api-finder/async");
+const ApiSchemas = require("./api-schemas");
+const ConcurrentTaskQueue = require("./concurrent-task-queue");
+const CorpusStats = require("./corpus-stats");
+const KnownLibraries = require("./known-libraries");
+const VersionHistory = require("./version-history");
+const { openExtension } = require("./extension-files");
+const { localizeManifest } = require("./extension-locales");
+const { CSP_CATEGORIES, findCspWeaknesses } = require("./content-security-policy");
+const AnalysisCache = require("./analysis-cache");
+const {
+    USAGE: AMO_METADATA_USAGE,
+    getAddonIdentifier,
+    getMetadataFile,
+    loadAmoMetadata,
+} = require("./amo-metadata");
+const ExtensionCache = require("./extension-cache");
+const ExtensionLayouts = require("./extension-layouts");
+const {
+    CONTEXTS,
+    getScriptInventory,
+    globToRegExp,
+} = require("./extension-inventory");
+const {
+    isHostPermission,
+    parseMatchPattern,
+} = require("./match-pattern");
+const {
+    isManifestCondition,
+    parseManifestPath,
+    parseManifestQuery,
+} = require("./manifest-query");
+const {
+    parseQueryExpression,
+    getQueries,
+    evaluateQueryExpression,
+    expandQueries,
+} = require("./query-expression");
+
+
+// Returns a Map from API permission to an object with the APIs of the
+// permission ("apis") and whether the APIs require the permission
+// ("requiresPermission"), see data/permission-apis.json.
+function loadPermissionApis() {
+    let { permissions } = require("../data/permission-apis.json");
+    let permissionApis = new Map();
+    for (let [permission, entry] of Object.entries(permissions)) {
+        if (Array.isArray(entry)) {
+            entry = { apis: entry };
+        }
+        permissionApis.set(permission, {
+            apis: entry.apis,
+            requiresPermission: entry.requiresPermission !== false,
+        });
+    }
+    return permissionApis;
+}
+
+const PERMISSION_APIS = loadPermissionApis();
+
+// Options of filter-api-usage that control which scripts are scanned and the
+// resources of the scan. Other filters that use filter-api-usage accept them too.
+const SCAN_OPTIONS = [
+    "--max-file-size=",
+    "--max-bytes-in-flight=",
+    "--timeout=",
+    "--retries=",
+    "--libraries=",
+    "--libraries-file=",
+];
+
+// Values of --libraries of filter-api-usage.
+const LIBRARY_MODES = ["skip", "separate"];
+// Prefix of the keys of the matchers of known libraries in filter-api-usage,
+// to tell them apart from contexts.
+const LIBRARY_KEY_PREFIX = "library:";
+
+function isScanOption(arg) {
+    return SCAN_OPTIONS.some(option => arg.startsWith(option));
+}
+
+// Parses a size in bytes, optionally with a K, M or G suffix (powers of 1024).
+function parseByteSize(value) {
+    let match = /^(\d+(?:\.\d+)?)([KMG]?)$/i.exec(value);
+    if (!match) {
+        throw new Error(`Invalid size: ${value}`);
+    }
+    let factor = { "": 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 }[match[2].toLowerCase()];
+    return Math.round(parseFloat(match[1]) * factor);
+}
+
+// Parses a non-negative number, e.g. of seconds or retries.
+function parseNumber(arg, value) {
+    let number = Number(value);
+    if (value === "" || !(number >= 0)) {
+        throw new Error(`Invalid number in ${arg}`);
+    }
+    return number;
+}
+
+// Returns the default values of the resource options of the scan, see
+// parseResourceOption.
+function getDefaultResourceOptions() {
+    return {
+        maxFileSize: 0, // 0 = no limit.
+        maxBytesInFlight: 256 * 1024 * 1024,
+        // Options of the worker pool, see we-api-finder/async.js.
+        poolOptions: { taskTimeout: 0, maxRetries: 1 },
+    };
+}
+
+// Parses --max-file-size, --max-bytes-in-flight, --timeout and --retries (see
+// filter-api-usage) into options, from getDefaultResourceOptions. Returns
+// false if arg is not one of these options.
+function parseResourceOption(arg, options) {
+    if (arg.startsWith("--max-file-size=")) {
+        options.maxFileSize = parseByteSize(arg.slice("--max-file-size=".length));
+    } else if (arg.startsWith("--max-bytes-in-flight=")) {
+        options.maxBytesInFlight = parseByteSize(arg.slice("--max-bytes-in-flight=".length));
+    } else if (arg.startsWith("--timeout=")) {
+        let seconds = parseNumber(arg, arg.slice("--timeout=".length));
+        options.poolOptions.taskTimeout = Math.ceil(seconds * 1000);
+    } else if (arg.startsWith("--retries=")) {
+        options.poolOptions.maxRetries = parseNumber(arg, arg.slice("--retries=".length));
+    } else {
+        return false;
+    }
+    return true;
+}
+
+// Returns the files (objects with "fileName" and optionally "sourceText")
+// that are not larger than maxFileSize (0 = no limit), their total size and
+// the names of the skipped files. A warning is logged for each skipped file.
+async function skipLargeFiles(logger, ext, files, maxFileSize) {
+    let sizes = await Promise.all(files.map(file => {
+        if (file.sourceText !== undefined) {
+            return Buffer.byteLength(file.sourceText);
+        }
+        return ext.getFileSize(file.fileName);
+    }));
+    let totalSize = 0;
+    let skippedFiles = [];
+    files = files.filter((file, i) => {
+        if (maxFileSize && sizes[i] > maxFileSize) {
+            logger.warn(`Skipped large file: ${file.fileName} ` +
+                `(${sizes[i]} bytes) in ${ext.extdir}`);
+            skippedFiles.push(file.fileName);
+            return false;
+        }
+        totalSize += sizes[i];
+        return true;
+    });
+    return { files, totalSize, skippedFiles };
+}
+
+// Scans the files of extensions with new matchers of a QueryCompiler (see
+// we-api-finder/async.js), within the resource options (see
+// getDefaultResourceOptions). Shared by the filters that scan files.
+class ExtensionScanner {
+    constructor(qc, resourceOptions) {
+        this.qc = qc;
+        this.resourceOptions = resourceOptions;
+        // We'd like to maximize parallelism, but at some point we are IO-bound
+        // and memory-bound. The number of extensions that are listed at the
+        // same time is limited by ioTaskQueue. The files are only read once
+        // their total size fits in scanTaskQueue, so that a few giant bundles
+        // do not exhaust the memory.
+        this.ioTaskQueue = new ConcurrentTaskQueue(500);
+        this.scanTaskQueue = new ConcurrentTaskQueue(resourceOptions.maxBytesInFlight);
+    }
+
+    // Runs task, an async function that opens and scans an extension, once
+    // fewer than 500 of these tasks are running.
+    queueTask(task) {
+        return this.ioTaskQueue.queueTask(task);
+    }
+
+    /**
+     * Reads the files of the extension and matches them. Returns an object with
+     * "matchers" (a Map from key to the AsyncQueryMatcher with the results) and
+     * "skippedFiles" (the names of the files that were larger than
+     * --max-file-size), or null if the extension could not be read or scanned
+     * (a warning is logged).
+     *
+     * @param {object} logger
+     * @param {object|string} ext - The extension (see openExtension), or its
+     *   directory.
+     * @param {function} listFiles - Async function that is called with the
+     *   extension, and returns the files to scan, as objects with "fileName"
+     *   (relative to the extension root) and optionally "sourceText" (e.g. for
+     *   inline scripts).
+     * @param {function} getMatcherKeys - Called with each file and its source
+     *   text. Returns the keys of the matchers that the file is added to, e.g.
+     *   the contexts of a script.
+     * @param {string[]} [queries] - The queries to match, see newQueryMatcher.
+     */
+    async scanExtension(logger, ext, { listFiles, getMatcherKeys, queries }) {
+        let extdir = typeof ext === "string" ? ext : ext.extdir;
+        let files;
+        try {
+            if (typeof ext === "string") {
+                ext = await openExtensionWithCache(extdir);
+            }
+            files = await listFiles(ext);
+        } catch (e) {
+            logger.warn(`Failed to list directory: ${extdir} -- ${e}`);
+            return null;
+        }
+        let totalSize, skippedFiles;
+        try {
+            ({ files, totalSize, skippedFiles } = await skipLargeFiles(
+                logger, ext, files, this.resourceOptions.maxFileSize));
+        } catch (e) {
+            logger.warn(`Failed to read directory: ${extdir} -- ${e}`);
+            return null;
+        }
+        let matchers = await this.scanTaskQueue.queueTask(() => {
+            return this._matchFiles(logger, ext, files, getMatcherKeys, queries);
+        }, totalSize);
+        return matchers && { matchers, skippedFiles };
+    }
+
+    // Reads the files and matches them, see scanExtension. Returns the matchers,
+    // or null.
+    async _matchFiles(logger, ext, files, getMatcherKeys, queries) {
+        const matchers = new Map();
+        try {
+            let proms = files.map(file => {
+                if (file.sourceText !== undefined) {
+                    return file.sourceText;
+                }
+                return ext.readFile(file.fileName, "utf-8");
+            });
+            for (let i = 0; i < proms.length; ++i) {
+                let sourceText = await proms[i];
+                for (let key of getMatcherKeys(files[i], sourceText)) {
+                    if (!matchers.has(key)) {
+                        matchers.set(key, this.qc.newQueryMatcher(queries));
+                    }
+                    matchers.get(key).addSource(sourceText, files[i].fileName);
+                }
+            }
+        } catch (e) {
+            logger.warn(`Failed to read directory: ${ext.extdir} -- ${e}`);
+            logger.warn(`Tried to read: ${files.map(f => f.fileName)}`);
+            return null;
+        }
+        // When a matcher fails (e.g. with --timeout), the scan of the extension
+        // has failed, so its other matchers are aborted.
+        const controller = new AbortController();
+        try {
+            await Promise.all(Array.from(matchers.values(), qm => {
+                return qm.findMatches(controller.signal).catch(e => {
+                    controller.abort(e);
+                    throw e;
+                });
+            }));
+        } catch (e) {
+            logger.warn(`Failed to scan: ${ext.extdir} -- ${e}`);
+            return null;
+        }
+        return matchers;
+    }
+}
+
+const FILTERS = Object.create(null);
+
+FILTERS.permissions = class {
+    static get USAGE() {
+        return `
+Matches if any of the arguments is found in the permissions,
+optional_permissions, host_permissions or optional_host_permissions
+array in manifest.json. To require multiple permissions at the same
+time, separate by commas.
+
+Example:
+filter-permissions webRequest,webRequestBlocking tabs
+matches if either webRequest and webRequestBlocking are present,
+or if tabs is present.
+
+filter-permissions --host-access https://mail.google.com/
+matches if any host permission (including optional ones) or any
+content script's matches (minus exclude_matches) covers the URL, using
+match pattern semantics. E.g. <all_urls>, *://*/* and
+https://*.google.com/* all cover https://mail.google.com/.
+Multiple URLs can be passed, with commas to require access to all of
+them, as above.
+`;
+    }
+    // Relative cost of filter(), used to run cheap filters first, see FilterStages.
+    static get COST() {
+        return 1; // Reads manifest.json.
+    }
+
+    constructor(args) {
+        this.hostAccess = false;
+        if (args[0] === "--host-access") {
+            this.hostAccess = true;
+            args = args.slice(1);
+        }
+        this.anyOfPermissionsLists = args.map(perms => perms.split(','));
+        if (this.hostAccess) {
+            this.anyOfUrlLists = this.anyOfPermissionsLists.map(urls => {
+                return urls.map(url => {
+                    try {
+                        return new URL(url);
+                    } catch (e) {
+                        throw new Error(`Invalid URL: ${url}`);
+                    }
+                });
+            });
+        }
+    }
+
+    _matchesArgs(permissions) {
+        return this.anyOfPermissionsLists.some(allOfPermissions => {
+            return allOfPermissions.every(p => permissions.includes(p));
+        });
+    }
+
+    _matchesHostAccess(manifest, permissions) {
+        let hostPatterns = permissions.filter(isHostPermission)
+            .map(parseMatchPattern).filter(Boolean);
+        let contentScripts = Array.isArray(manifest.content_scripts) ?
+            manifest.content_scripts.filter(cs => cs && Array.isArray(cs.matches)) : [];
+        let parsePatterns = patterns => {
+            if (!Array.isArray(patterns)) {
+                return [];
+            }
+            return patterns.filter(p => typeof p === "string")
+                .map(parseMatchPattern).filter(Boolean);
+        };
+        contentScripts = contentScripts.map(cs => ({
+            matches: parsePatterns(cs.matches),
+            excludeMatches: parsePatterns(cs.exclude_matches),
+        }));
+        let canAccess = url => {
+            return hostPatterns.some(mp => mp.matches(url)) ||
+                contentScripts.some(cs => {
+                    return cs.matches.some(mp => mp.matches(url)) &&
+                        !cs.excludeMatches.some(mp => mp.matches(url));
+                });
+        };
+        return this.anyOfUrlLists.some(allOfUrls => allOfUrls.every(canAccess));
+    }
+
+    async filter(logger, line) {
+        let extdir = await getExtensionDirectory(line);
+        if (!extdir) {
+            logger.warn(`Not an extension directory: "${line}"`);
+            return false;
+        }
+        // TODO: Consider caching the result of directories that have alrea
+        let manifest;
+        try {
+            manifest = await getManifest(extdir, { logger });
+        } catch (e) {
+            logger.warn(`Invalid manifest: ${e}`);
+            return false;
+        }
+        let permissions = getPermissions(manifest, [
+            "permissions",
+            "optional_permissions",
+            // Manifest V3:
+            "host_permissions",
+            "optional_host_permissions",
+        ]);
+        if (this.hostAccess) {
+            return this._matchesHostAccess(manifest, permissions);
+        }
+        return this._matchesArgs(permissions);
+    }
+
+    async cleanupAndDestroy() {
+    }
+};
+
+FILTERS.manifest = class {
+    static get USAGE() {
+        return String.raw`
+Filter manifests whose key match one of the given patterns.
+Nested keys are supported via "."
+
+Example:
+filter-manifest version '^1$' '^1\.' '2'
+matches if the version is "1", starts with "1." or contains "2".
+
+Alternatively, filter manifests with conditions of the form
+<path><operator><value> or <path>:<check>. Conditions in one argument are
+separated by commas and must all be true (use \, for a literal comma).
+The manifest matches if any of the arguments matches.
+
+Paths: dot-separated keys, [N] for an array index, * or [*] for any array
+element or object value, ["key"] for keys with special characters.
+Operators: =~ (regexp), == (as JSON value or string), != and !~ (negations),
+> >= < <= (number).
+Checks: :exists :missing :string :number :boolean :array :object :null
+
+If a path has multiple values (because of *), a condition is true if any
+value satisfies it; != !~ :missing are true if no value satisfies == =~ :exists.
+Arrays are compared per element, unless the value of == is an array/object.
+
+Examples:
+filter-manifest 'manifest_version==2,background:exists,background.persistent!=false'
+matches MV2 extensions with a persistent background page.
+
+filter-manifest 'content_scripts[*].matches=~^<all_urls>$' 'permissions=~^tabs$'
+matches if any content script runs on <all_urls>, or if tabs is a permission.
+
+filter-manifest 'manifest_version>=3,background.service_worker:missing'
+matches MV3 extensions without a background service worker.
+`;
+    }
+
+    // Relative cost of filter(), used to run cheap filters first, see FilterStages.
+    static get COST() {
+        return 1; // Reads manifest.json.
+    }
+
+    constructor(args) {
+        if (isManifestCondition(args[0])) {
+            this.query = parseManifestQuery(args);
+            return;
+        }
+        this.keys = args[0].split(".");
+        this.anyOfPatterns = args.slice(1).map(pattern => new RegExp(pattern));
+        if (!this.keys.length) {
+            throw new Error();
+        }
+    }
+
+    async filter(logger, line) {
+        let extdir = await getExtensionDirectory(line);
+        if (!extdir) {
+            logger.warn(`Not an extension directory: "${line}"`);
+            return false;
+        }
+        let manifest;
+        try {
+            manifest = await getManifest(extdir, { logger });
+        } catch (e) {
+            logger.warn(`Invalid manifest: ${e}`);
+            return false;
+        }
+        if (this.query) {
+            return this.query(manifest);
+        }
+        let value = manifest;
+        for (let i = 0; i < this.keys.length && value != null; ++i) {
+            value = value[this.keys[i]];
+        }
+        if (value != null) {
+            return this.anyOfPatterns.some(pattern => pattern.test(value));
+        }
+        return false;
+    }
+
+    async cleanupAndDestroy() {
+    }
+}
+
+FILTERS["api-usage"] = class {
+    static get USAGE() {
+        return `
+Filters extensions that reference any of the APIs.
+The extension directory root of each input line is considered, even if
+the input line is a file name.
+
+Example:
+filter-api-usage tabs.create storage.local.set
+matches if any of the given APIs are present.
+
+The APIs can be combined with AND, OR, NOT and parentheses. APIs without
+operator in between are combined with OR. NOT has the highest precedence,
+followed by AND and OR. For example:
+filter-api-usage 'webRequest.onBeforeRequest AND NOT declarativeNetRequest'
+filter-api-usage '(tabs.create OR tabs.update) AND NOT tabs.remove'
+
+filter-api-usage --log-usage tabs.create
+will not only show the matched line, but also append a space-separated
+list of matched APIs.
+
+filter-api-usage --log-locations tabs.create storage.local.get
+is like --log-usage, but also appends the location of the first match of
+each API, as api@file:line:column:text. For aliases, the location of
+each part is listed, separated by "+", e.g.:
+storage.local.get@bg.js:1:11:chrome.storage+bg.js:2:2:.local.get
+
+filter-api-usage --context=background,content --log-contexts tabs.create
+only scans scripts that run in the given contexts, as declared in
+manifest.json, including inline scripts in extension pages and scripts that
+background scripts load with static imports or importScripts(). Supported
+contexts: ${CONTEXTS.join(", ")}.
+With --log-contexts, the contexts of matches are appended to each API,
+e.g. tabs.create[background,page]. --log-contexts without --context
+implies all contexts.
+
+filter-api-usage --precise tabs.create
+parses the JavaScript files to only match APIs that are accessed via
+chrome or browser, directly or via aliases (variables, destructuring).
+This is slower, but has fewer false positives than the default mode.
+Files that cannot be parsed are matched with the default mode.
+
+filter-api-usage --cache-dir /tmp/webextanal-cache tabs.create
+stores the results per extension and API on disk, and reuses them in later
+runs for unchanged extensions. Can also be set via WEBEXTANAL_CACHE_DIR.
+
+filter-api-usage --schemas=/path/to/schemas --log-usage 'tabs.*' 'webRequest.on*'
+checks the APIs against the WebExtension API schemas (JSON files) in the
+directory, e.g. a copy of toolkit/components/extensions/schemas of Firefox,
+and fails on unknown namespaces or members. A wildcard (*) in the last part
+of an API is expanded to all matching APIs in the schemas. With --log-usage,
+deprecated and MV2-only APIs are flagged, e.g. tabs.executeScript{mv2-only}.
+
+The resources of the scan can be limited with:
+ --max-file-size=SIZE        Skips scripts larger than SIZE, with a warning.
+ --max-bytes-in-flight=SIZE  Limits the total size of the scripts that are
+                             read and scanned at the same time (default 256M).
+ --timeout=SECONDS           Aborts the scan of the scripts of an extension
+                             (per context) after SECONDS, with a warning. The
+                             time starts when a worker thread begins the scan,
+                             not while it waits for a free worker thread. The
+                             stuck worker thread is terminated.
+ --retries=N                 Retries a scan N times if the worker thread
+                             crashed, before warning (default 1).
+SIZE is in bytes, optionally with a K, M or G suffix, e.g. 10M.
+
+filter-api-usage --libraries=skip tabs.create
+does not scan known third-party libraries, such as browser-polyfill.js of
+webextension-polyfill (which mentions nearly every API) or jQuery. The
+libraries are recognized by the hash of the script. They are listed in
+data/known-libraries.json, and more can be added with --libraries-file=FILE
+(same format, can be repeated).
+With --libraries=separate, the libraries are scanned, but their matches do not
+count as API usage of the extension. They are annotated as libraryApis, and
+appended to the output with --log-usage, e.g. library:jquery[tabs.create].
+Scripts that contain a library (found by a signature, e.g. its license header)
+but are not a known build of it, e.g. bundles with the code of the extension,
+are scanned as code of the extension. Their libraries are annotated as
+bundledLibraries.
+`;
+    }
+    // Relative cost of filter(), used to run cheap filters first, see FilterStages.
+    static get COST() {
+        return 2; // Reads all scripts and scans them in worker threads.
+    }
+
+    constructor(args) {
+        this.logUsage = false;
+        this.logLocations = false;
+        this.logContexts = false;
+        this.precise = false;
+        // How known libraries are handled, one of LIBRARY_MODES, or null to
+        // scan them as any other script.
+        this.librariesMode = null;
+        this.knownLibraries = null;
+        let librariesFiles = [];
+        this.resourceOptions = getDefaultResourceOptions();
+        let schemasDir = null;
+        // null = all scripts, without building an inventory from manifest.json.
+        this.contexts = null;
+
+        let queries = [];
+        for (let arg of args) {
+            if (arg.startsWith("--")) {
+                if (arg === "--log-usage") {
+                    this.logUsage = true;
+                } else if (arg === "--log-locations") {
+                    this.logLocations = true;
+                } else if (arg === "--log-contexts") {
+                    this.logContexts = true;
+                } else if (arg === "--precise") {
+                    this.precise = true;
+                } else if (arg.startsWith("--schemas=")) {
+                    schemasDir = arg.slice("--schemas=".length);
+                } else if (parseResourceOption(arg, this.resourceOptions)) {
+                    // Parsed into this.resourceOptions.
+                } else if (arg.startsWith("--libraries=")) {
+                    this.librariesMode = arg.slice("--libraries=".length);
+                    if (!LIBRARY_MODES.includes(this.librariesMode)) {
+                        throw new Error(`Unsupported value: ${arg}
+Choose one of: ${LIBRARY_MODES.join(", ")}`);
+                    }
+                } else if (arg.startsWith("--libraries-file=")) {
+                    librariesFiles.push(arg.slice("--libraries-file=".length));
+                } else if (arg.startsWith("--context=")) {
+                    this.contexts = arg.slice("--context=".length).split(",");
+                    for (let context of this.contexts) {
+                        if (!CONTEXTS.includes(context)) {
+                            throw new Error(`Unsupported context: ${context}
+Choose any of: ${CONTEXTS.join(",")}`);
+                        }
+                    }
+                } else {
+                    throw new Error(`Unsupported argument: ${arg}`);
+                }
+            } else {
+                queries.push(arg);
+            }
+        }
+        if (this.logContexts && !this.contexts) {
+            this.contexts = CONTEXTS;
+        }
+        if (this.librariesMode) {
+            this.knownLibraries = KnownLibraries.load(librariesFiles);
+        } else if (librariesFiles.length) {
+            throw new Error("--libraries-file requires --libraries=skip or --libraries=separate");
+        }
+        this.queryExpression = parseQueryExpression(queries.join(" "));
+        this.qc = new weApiFinder.QueryCompiler({
+            withLocations: this.logLocations,
+            precise: this.precise,
+        }, this.resourceOptions.poolOptions);
+        // Map from query to a key that identifies the query in analysisCache.
+        this.queryKeys = new Map();
+        // Map from query to its flags from the schemas, see --schemas.
+        this.apiFlags = new Map();
+        if (schemasDir) {
+            // The queries are added once the schemas have been loaded.
+            this._queriesPromise = this._loadSchemas(schemasDir);
+            // The error is thrown by findMatches.
+            this._queriesPromise.catch(() => {});
+        } else {
+            let wildcardQuery = getQueries(this.queryExpression).find(ApiSchemas.isWildcardQuery);
+            if (wildcardQuery) {
+                throw new Error(`Wildcards require --schemas: ${wildcardQuery}`);
+            }
+            this._addQueries();
+            this._queriesPromise = Promise.resolve();
+        }
+        this.seenExts = new Set();
+        this.scanner = new ExtensionScanner(this.qc, this.resourceOptions);
+    }
+
+    _addQueries() {
+        for (let query of getQueries(this.queryExpression)) {
+            this.qc.addQuery(query);
+            let queryKey = this.qc.getQueryKey(query);
+            if (this.librariesMode) {
+                // The results depend on which scripts are known libraries.
+                queryKey = JSON.stringify([
+                    queryKey,
+                    this.librariesMode,
+                    this.knownLibraries.getFingerprint(),
+                ]);
+            }
+            if (this.resourceOptions.maxFileSize) {
+                // The results depend on which scripts are skipped.
+                queryKey = JSON.stringify([
+                    queryKey,
+                    "maxFileSize",
+                    this.resourceOptions.maxFileSize,
+                ]);
+            }
+            this.queryKeys.set(query, queryKey);
+        }
+    }
+
+    // Expands wildcards in the queries and checks them against the schemas.
+    async _loadSchemas(schemasDir) {
+        let apiSchemas = await ApiSchemas.load(schemasDir);
+        this.queryExpression = expandQueries(this.queryExpression, query => {
+            return ApiSchemas.isWildcardQuery(query) ? apiSchemas.expandQuery(query) : [query];
+        });
+        let errors = [];
+        for (let query of getQueries(this.queryExpression)) {
+            let error = apiSchemas.validateQuery(query);
+            if (error) {
+                errors.push(`${query}: ${error}`);
+            }
+            let flags = apiSchemas.getFlags(query);
+            if (flags.length) {
+                this.apiFlags.set(query, flags);
+            }
+        }
+        if (errors.length) {
+            throw new Error(`Unknown APIs in the schemas at ${schemasDir}:
+${errors.join("\n")}`);
+        }
+        this._addQueries();
+    }
+
+    async filter(logger, line) {
+        let extdir = await getExtensionDirectory(line);
+        if (!extdir) {
+            logger.warn(`Not an extension directory: "${line}"`);
+            return false;
+        }
+        if (this.seenExts.has(extdir)) {
+            // Already seen before, handled by previous lines.
+            return false;
+        }
+        this.seenExts.add(extdir);
+        let matches = await this.findMatches(logger, extdir);
+        if (!matches) {
+            return false;
+        }
+        const { contextsByQuery, matchLocations, librariesByQuery, bundledLibraries } = matches;
+        const matchedQueries = new Set(contextsByQuery.keys());
+        if (!evaluateQueryExpression(this.queryExpression, matchedQueries)) {
+            return false;
+        }
+        logger.annotate("matchedApis", Array.from(matchedQueries));
+        if (this.logContexts) {
+            logger.annotate("apiContexts", Object.fromEntries(contextsByQuery));
+        }
+        if (this.logLocations) {
+            logger.annotate("apiLocations", Object.fromEntries(matchLocations));
+        }
+        const matchedFlags = Array.from(matchedQueries).filter(q => this.apiFlags.has(q));
+        if (matchedFlags.length) {
+            logger.annotate("apiFlags", Object.fromEntries(matchedFlags.map(query => {
+                return [query, this.apiFlags.get(query)];
+            })));
+        }
+        const results = Array.from(matchedQueries, query => {
+            let result = query;
+            if (this.apiFlags.has(query)) {
+                result += `{${this.apiFlags.get(query).join(",")}}`;
+            }
+            if (this.logContexts) {
+                result += `[${contextsByQuery.get(query).join(",")}]`;
+            }
+            if (this.logLocations) {
+                let locations = matchLocations.get(query).map(loc => {
+                    let text = loc.text.replace(/\s+/g, "");
+                    return `${loc.fileName}:${loc.line}:${loc.column}:${text}`;
+                });
+                result += `@${locations.join("+")}`;
+            }
+            return result;
+        });
+        // Map from library to the queries that matched in the library, with
+        // --libraries=separate.
+        const libraryApis = new Map();
+        for (let [query, libraries] of librariesByQuery) {
+            for (let library of libraries) {
+                if (!libraryApis.has(library)) {
+                    libraryApis.set(library, []);
+                }
+                libraryApis.get(library).push(query);
+            }
+        }
+        if (libraryApis.size) {
+            logger.annotate("libraryApis", Object.fromEntries(libraryApis));
+        }
+        if (bundledLibraries.length) {
+            logger.annotate("bundledLibraries", bundledLibraries);
+        }
+        for (let [library, apis] of libraryApis) {
+            results.push(`library:${library}[${apis.join(",")}]`);
+        }
+        if (this.logUsage || this.logLocations || this.logContexts) {
+            logger.replaceOutputLine([extdir, ...results].join(" "));
+        } else {
+            logger.replaceOutputLine(extdir);
+        }
+        return true;
+    }
+
+    // Finds the queries that match in the extension at extdir. Returns an
+    // object with "contextsByQuery" (a Map from each matched query to the list
+    // of contexts where it matched), "matchLocations" (a Map from query to
+    // locations, only with --log-locations) and "librariesByQuery" (a Map from
+    // query to the known libraries where it matched, only with
+    // --libraries=separate) and "bundledLibraries" (the known libraries that
+    // are bundled in scripts of the extension, see _scanExtension), or null if
+    // the extension could not be read (a warning is logged).
+    async findMatches(logger, extdir) {
+        await this._queriesPromise;
+        return this.scanner.queueTask(async () => {
+            const selectedContexts = this.contexts || [""];
+            const allQueries = Array.from(this.queryKeys.keys());
+            let ext, filesFingerprint;
+            // Map from query to the result of the query, which is an object
+            // with a property for each selected context, whose value is false
+            // (no match), true (match) or an array of locations (match).
+            let resultsByQuery = new Map();
+            try {
+                ext = await openExtensionWithCache(extdir);
+                if (analysisCache) {
+                    filesFingerprint = await analysisCache.getFilesFingerprint(ext);
+                    resultsByQuery = await this._getCachedResults(extdir, filesFingerprint);
+                }
+            } catch (e) {
+                logger.warn(`Failed to list directory: ${extdir} -- ${e}`);
+                return null;
+            }
+            const queriesToScan = allQueries.filter(query => !resultsByQuery.has(query));
+            if (queriesToScan.length) {
+                let scanned = await this._scanExtension(
+                    logger,
+                    ext,
+                    // Only select a subset if needed, to share the matcher.
+                    queriesToScan.length === allQueries.length ? undefined : queriesToScan,
+                    selectedContexts
+                );
+                if (!scanned) {
+                    return null;
+                }
+                let scannedResults = scanned.resultsByQuery;
+                for (let [query, result] of scannedResults) {
+                    resultsByQuery.set(query, result);
+                }
+                // Results with skipped files are not cached, so that the next
+                // run warns about the skipped files again.
+                if (analysisCache && !scanned.skippedFiles.length) {
+                    try {
+                        await analysisCache.setQueryResults(extdir, filesFingerprint, new Map(
+                            Array.from(scannedResults, ([query, result]) => {
+                                return [this.queryKeys.get(query), result];
+                            })
+                        ));
+                    } catch (e) {
+                        logger.warn(`Failed to write to cache: ${extdir} -- ${e}`);
+                    }
+                }
+            }
+
+            // Map from query to the list of contexts where the query matched.
+            const contextsByQuery = new Map();
+            const matchLocations = new Map();
+            const librariesByQuery = new Map();
+            const bundledLibraries = new Set();
+            for (let query of allQueries) {
+                let result = resultsByQuery.get(query);
+                if (result.libraries && result.libraries.length) {
+                    librariesByQuery.set(query, result.libraries);
+                }
+                for (let library of result.bundledLibraries || []) {
+                    bundledLibraries.add(library);
+                }
+                let contexts = selectedContexts.filter(context => result[context]);
+                if (contexts.length) {
+                    contextsByQuery.set(query, contexts);
+                    if (this.logLocations) {
+                        matchLocations.set(query, result[contexts[0]]);
+                    }
+                }
+            }
+            return {
+                contextsByQuery,
+                matchLocations,
+                librariesByQuery,
+                bundledLibraries: Array.from(bundledLibraries),
+            };
+        });
+    }
+
+    // Returns a Map from query to the cached result (see _scanExtension), for
+    // the queries whose cached result covers all selected contexts.
+    async _getCachedResults(extdir, filesFingerprint) {
+        const selectedContexts = this.contexts || [""];
+        // Map from query key to query.
+        const queryKeys = new Map();
+        for (let [query, queryKey] of this.queryKeys) {
+            queryKeys.set(queryKey, query);
+        }
+        let cachedResults = await analysisCache.getQueryResults(
+            extdir, filesFingerprint, Array.from(queryKeys.keys()));
+        let resultsByQuery = new Map();
+        for (let [queryKey, result] of cachedResults) {
+            let isComplete = selectedContexts.every(context => {
+                if (!Object.prototype.hasOwnProperty.call(result, context)) {
+                    return false;
+                }
+                // With --log-locations, a match without locations is not enough.
+                return !this.logLocations || result[context] === false ||
+                    Array.isArray(result[context]);
+            });
+            if (isComplete) {
+                resultsByQuery.set(queryKeys.get(queryKey), result);
+            }
+        }
+        return resultsByQuery;
+    }
+
+    // Scans the scripts of the extension for the given queries (all if not
+    // set). Returns an object with "skippedFiles" (see scanExtension) and
+    // "resultsByQuery", a Map from query to an object with a property for each
+    // context, whose value is false if the query did not match in the context,
+    // true if it matched, or the locations of the match with --log-locations.
+    // With --libraries=separate, known libraries are scanned separately, and
+    // the "libraries" property lists the libraries where the query matched.
+    // With --libraries, the "bundledLibraries" property lists the libraries
+    // that are part of other scripts of the extension (the same for all
+    // queries, so that it is cached with any of them).
+    // Returns null if the extension could not be read.
+    async _scanExtension(logger, ext, queries, selectedContexts) {
+        const bundledLibraries = new Set();
+        const scanned = await this.scanner.scanExtension(logger, ext, {
+            listFiles: ext => this._listScripts(ext),
+            // Scripts are matched per context, so that an alias in one context
+            // is not combined with an API access in another context. Without
+            // contexts, all scripts are in the same (unnamed) context. Known
+            // libraries are matched per library, see LIBRARY_KEY_PREFIX.
+            getMatcherKeys: (script, sourceText) => {
+                if (!this.knownLibraries) {
+                    return script.contexts;
+                }
+                let library = this.knownLibraries.identify(sourceText);
+                if (library) {
+                    return this.librariesMode === "separate" ? [LIBRARY_KEY_PREFIX + library] : [];
+                }
+                // A library in a larger script, e.g. a bundle, cannot be told
+                // apart from the code of the extension, so the script is scanned.
+                for (let name of this.knownLibraries.findBundled(sourceText)) {
+                    bundledLibraries.add(name);
+                }
+                return script.contexts;
+            },
+            queries,
+        });
+        if (!scanned) {
+            return null;
+        }
+
+        const resultsByQuery = new Map();
+        for (let query of queries || this.queryKeys.keys()) {
+            let result = {};
+            for (let context of selectedContexts) {
+                result[context] = false;
+            }
+            if (this.librariesMode === "separate") {
+                result.libraries = [];
+            }
+            if (this.librariesMode) {
+                result.bundledLibraries = Array.from(bundledLibraries);
+            }
+            resultsByQuery.set(query, result);
+        }
+        for (let [key, qm] of scanned.matchers) {
+            for (let query of qm.getMatchedResults()) {
+                if (key.startsWith(LIBRARY_KEY_PREFIX)) {
+                    resultsByQuery.get(query).libraries.push(key.slice(LIBRARY_KEY_PREFIX.length));
+                } else {
+                    resultsByQuery.get(query)[key] = this.logLocations ?
+                        qm.getMatchLocations().get(query) : true;
+                }
+            }
+        }
+        return { resultsByQuery, skippedFiles: scanned.skippedFiles };
+    }
+
+    // Returns the scripts to scan, as an array of objects with "fileName"
+    // (relative to the extension root), "contexts" and optionally "sourceText"
+    // (for inline scripts). See getScriptInventory.
+    async _listScripts(ext) {
+        if (!this.contexts) {
+            let filePaths = await ext.listFiles();
+            // Ignore non-JS files (html, images, json, etc.)
+            filePaths = filePaths.filter(p => p.endsWith(".js") || p.endsWith(".mjs"));
+            return filePaths.map(fileName => ({ fileName, contexts: [""] }));
+        }
+        let scripts = await getScriptInventory(ext, await getManifest(ext.extdir));
+        return scripts.map(script => {
+            let contexts = script.contexts.filter(c => this.contexts.includes(c));
+            return Object.assign({}, script, { contexts });
+        }).filter(script => script.contexts.length);
+    }
+
+    async cleanupAndDestroy() {
+        this.qc.destroy();
+    }
+};
+
+FILTERS["permission-usage"] = class {
+    static get USAGE() {
+        return `
+Filters extensions whose API permissions do not match their API usage:
+ unused   Matches if a permission in manifest.json is not used, i.e. none of
+          the APIs of the permission is found (over-privileged).
+ missing  Matches if an API is used without a permission for it
+          (under-declared).
+At least one of unused and missing is required. Other arguments are the
+permissions to check (default: all permissions with known APIs).
+
+The APIs of each permission are listed in data/permission-apis.json.
+Permissions in permissions and optional_permissions are considered. The APIs
+are found as in filter-api-usage, with the same --precise, --context=LIST,
+--libraries=MODE and resource options (e.g. --timeout=SECONDS). Note that
+without --precise, unrelated code such as history.search in a web page may
+count as API usage.
+
+filter-permission-usage --log-usage unused missing
+will not only show the matched extension, but also append the unused
+permissions and missing permissions with the APIs that need them, e.g.
+unused:tabs missing:cookies[cookies.getAll,cookies.set]
+
+Example:
+filter-permission-usage unused tabs history
+matches extensions that request tabs or history without using their APIs.
+`;
+    }
+    // Relative cost of filter(), used to run cheap filters first, see FilterStages.
+    static get COST() {
+        return 2; // Scans scripts, as filter-api-usage.
+    }
+
+    constructor(args) {
+        this.findUnused = false;
+        this.findMissing = false;
+        this.logUsage = false;
+        let apiUsageArgs = [];
+        let permissions = [];
+        for (let arg of args) {
+            if (arg === "unused") {
+                this.findUnused = true;
+            } else if (arg === "missing") {
+                this.findMissing = true;
+            } else if (arg === "--log-usage") {
+                this.logUsage = true;
+            } else if (arg === "--precise" || arg.startsWith("--context=") ||
+                isScanOption(arg)) {
+                apiUsageArgs.push(arg);
+            } else if (arg.startsWith("--")) {
+                throw new Error(`Unsupported argument: ${arg}`);
+            } else if (!PERMISSION_APIS.has(arg)) {
+                throw new Error(`Unknown permission: ${arg}
+Choose any of: ${Array.from(PERMISSION_APIS.keys()).join(" ")}`);
+            } else {
+                permissions.push(arg);
+            }
+        }
+        if (!this.findUnused && !this.findMissing) {
+            throw new Error("unused and/or missing is required");
+        }
+        this.permissions = permissions.length ? permissions : Array.from(PERMISSION_APIS.keys());
+
+        // Map from API to the permissions that allow the API to be used.
+        this.apiPermissions = new Map();
+        for (let [permission, { apis }] of PERMISSION_APIS) {
+            for (let api of apis) {
+                if (!this.apiPermissions.has(api)) {
+                    this.apiPermissions.set(api, []);
+                }
+                this.apiPermissions.get(api).push(permission);
+            }
+        }
+        let queries = new Set();
+        for (let permission of this.permissions) {
+            PERMISSION_APIS.get(permission).apis.forEach(api => queries.add(api));
+        }
+        this.apiUsage = new FILTERS["api-usage"](apiUsageArgs.concat(Array.from(queries)));
+        this.seenExts = new Set();
+    }
+
+    async filter(logger, line) {
+        let extdir = await getExtensionDirectory(line);
+        if (!extdir) {
+            logger.warn(`Not an extension directory: "${line}"`);
+            return false;
+        }
+        if (this.seenExts.has(extdir)) {
+            // Already seen before, handled by previous lines.
+            return false;
+        }
+        this.seenExts.add(extdir);
+        let manifest;
+        try {
+            manifest = await getManifest(extdir, { logger });
+        } catch (e) {
+            logger.warn(`Invalid manifest: ${e}`);
+            return false;
+        }
+        let declared = new Set(getPermissions(manifest, ["permissions", "optional_permissions"]));
+        let matches = await this.apiUsage.findMatches(logger, extdir);
+        if (!matches) {
+            return false;
+        }
+        let usedApis = new Set(matches.contextsByQuery.keys());
+
+        let unusedPermissions = [];
+        // Map from permission to the APIs that are used without permission.
+        // An API is only reported for the first permission that lists it.
+        let missingPermissions = new Map();
+        let reportedApis = new Set();
+        for (let permission of this.permissions) {
+            let { apis, requiresPermission } = PERMISSION_APIS.get(permission);
+            let used = apis.filter(api => usedApis.has(api));
+            if (this.findUnused && declared.has(permission) && !used.length) {
+                unusedPermissions.push(permission);
+            }
+            if (this.findMissing && requiresPermission && !declared.has(permission)) {
+                let undeclared = used.filter(api => {
+                    return !reportedApis.has(api) &&
+                        !this.apiPermissions.get(api).some(p => declared.has(p));
+                });
+                if (undeclared.length) {
+                    undeclared.forEach(api => reportedApis.add(api));
+                    missingPermissions.set(permission, undeclared);
+                }
+            }
+        }
+        if (!unusedPermissions.length && !missingPermissions.size) {
+            return false;
+        }
+        if (unusedPermissions.length) {
+            logger.annotate("unusedPermissions", unusedPermissions);
+        }
+        if (missingPermissions.size) {
+            logger.annotate("missingPermissions", Object.fromEntries(missingPermissions));
+        }
+        if (this.logUsage) {
+            let results = unusedPermissions.map(permission => `unused:${permission}`);
+            for (let [permission, apis] of missingPermissions) {
+                results.push(`missing:${permission}[${apis.join(",")}]`);
+            }
+            logger.replaceOutputLine([extdir, ...results].join(" "));
+        } else {
+            logger.replaceOutputLine(extdir);
+        }
+        return true;
+    }
+
+    async cleanupAndDestroy() {
+        await this.apiUsage.cleanupAndDestroy();
+    }
+};
+
+// Regular expressions (strings, see QueryCompiler.addPattern) of the code
+// categories of filter-security. The first capturing group is the text that
+// is reported as the location of the finding.
+const SECURITY_CODE_PATTERNS = {
+    "eval": [
+        String.raw`(?:^|[^\w$.])((?:(?:window|self|globalThis)\s*\.\s*)?eval)\s*\(`,
+    ],
+    "new-function": [
+        String.raw`(?:^|[^\w$.])((?:new\s+)?Function)\s*\(`,
+    ],
+    "string-timer": [
+        String.raw`(?:^|[^\w$])((?:setTimeout|setInterval)\s*\(\s*["'\x60])`,
+    ],
+    // The property may also be in shorthand form, e.g. { target, func }.
+    "execute-script-code": [
+        String.raw`(executeScript\s*\([^;]{0,500}?[{,]\s*code\s*[:,}])`,
+    ],
+    "execute-script-func": [
+        String.raw`(executeScript\s*\([^;]{0,500}?[{,]\s*func\s*[:,}(])`,
+    ],
+    "remote-code": [
+        // fetch or XMLHttpRequest of a remote script.
+        String.raw`((?:\bfetch|\.open)\s*\(\s*(?:["'][A-Za-z]+["']\s*,\s*)?` +
+            String.raw`["'\x60](?:https?:)?//[^"'\x60\s]+?\.m?js(?:\?[^"'\x60\s]*)?["'\x60])`,
+        // Script imports from remote URLs.
+        String.raw`(?:^|[^\w$.])((?:importScripts|import)\s*\(\s*["'\x60](?:https?:)?//)`,
+    ],
+    "remote-script-tag": [
+        String.raw`(<(?:script|SCRIPT)\b[^>]*?\b(?:src|SRC)\s*=\s*["']?(?:https?:)?//)`,
+    ],
+};
+
+FILTERS.security = class {
+    static get USAGE() {
+        return `
+Filters extensions with security-relevant findings: a content_security_policy
+that weakens the default policy, or code that runs dynamic or remote code.
+The extension directory root of each input line is considered, even if
+the input line is a file name.
+
+Categories (default: all):
+ csp-unsafe-eval       The CSP allows 'unsafe-eval'.
+ csp-unsafe-inline     The CSP allows 'unsafe-inline'.
+ csp-remote-script     The CSP allows scripts from remote sources, e.g.
+                       https://example.com, * or data:.
+ eval                  eval(...).
+ new-function          new Function(...).
+ string-timer          setTimeout or setInterval with a string.
+ execute-script-code   tabs.executeScript with code.
+ execute-script-func   scripting.executeScript with func.
+ remote-code           fetch or XMLHttpRequest of a remote .js file, or
+                       importScripts or import() of a remote URL.
+ remote-script-tag     <script src="https://..."> (or //...).
+ csp                   All csp-* categories.
+ code                  All other categories.
+ all                   All categories.
+An extension matches if any of the given categories is found.
+
+The CSP is read from manifest.json: the string of Manifest Version 2, and
+the extension_pages and sandbox policies of Manifest Version 3. The
+script-src directive is checked, or default-src if there is no script-src.
+
+The code categories are found with regular expressions in .js, .mjs, .html
+and .htm files, like filter-api-usage. This may report code in strings or
+comments, and miss code that is constructed at runtime.
+
+Options:
+ --log-findings        Appends the findings to the output, e.g.
+                       csp-unsafe-eval@extension_pages:script-src:'unsafe-eval'
+                       eval@bg.js:10:5
+                       For code, the location of the first match of each
+                       category is shown.
+ --max-file-size=SIZE, --max-bytes-in-flight=SIZE, --timeout=SECONDS,
+ --retries=N           Limits the resources of the scan, as in
+                       filter-api-usage.
+
+The findings are annotated as securityFindings, an array of objects with
+"category" and either "policy", "directive" and "source" (CSP), or
+"fileName", "line", "column" and "text" (code).
+
+Example:
+filter-security --log-findings csp eval new-function
+`;
+    }
+    // Relative cost of filter(), used to run cheap filters first, see FilterStages.
+    static get COST() {
+        return 2; // Reads all scripts and scans them in worker threads.
+    }
+
+    constructor(args) {
+        this.logFindings = false;
+        this.resourceOptions = getDefaultResourceOptions();
+        const CATEGORY_GROUPS = {
+            csp: CSP_CATEGORIES,
+            code: Object.keys(SECURITY_CODE_PATTERNS),
+        };
+        CATEGORY_GROUPS.all = [...CATEGORY_GROUPS.csp, ...CATEGORY_GROUPS.code];
+
+        let categories = new Set();
+        for (let arg of args) {
+            if (arg === "--log-findings") {
+                this.logFindings = true;
+            } else if (parseResourceOption(arg, this.resourceOptions)) {
+                // Parsed into this.resourceOptions.
+            } else if (Object.prototype.hasOwnProperty.call(CATEGORY_GROUPS, arg)) {
+                CATEGORY_GROUPS[arg].forEach(category => categories.add(category));
+            } else if (CATEGORY_GROUPS.all.includes(arg)) {
+                categories.add(arg);
+            } else {
+                throw new Error(`Unsupported argument: ${arg}
+Choose any of: ${Object.keys(CATEGORY_GROUPS).concat(CATEGORY_GROUPS.all).join(", ")}`);
+            }
+        }
+        if (!categories.size) {
+            categories = new Set(CATEGORY_GROUPS.all);
+        }
+        this.categories = categories;
+        this.codeCategories = CATEGORY_GROUPS.code.filter(c => categories.has(c));
+        this.qc = new weApiFinder.QueryCompiler({
+            withLocations: true,
+        }, this.resourceOptions.poolOptions);
+        for (let category of this.codeCategories) {
+            this.qc.addPattern(category, SECURITY_CODE_PATTERNS[category]);
+        }
+        this.seenExts = new Set();
+        this.scanner = new ExtensionScanner(this.qc, this.resourceOptions);
+    }
+
+    async filter(logger, line) {
+        let extdir = await getExtensionDirectory(line);
+        if (!extdir) {
+            logger.warn(`Not an extension directory: "${line}"`);
+            return false;
+        }
+        if (this.seenExts.has(extdir)) {
+            // Already seen before, handled by previous lines.
+            return false;
+        }
+        this.seenExts.add(extdir);
+        let manifest;
+        try {
+            manifest = await getManifest(extdir, { logger });
+        } catch (e) {
+            logger.warn(`Invalid manifest: ${e}`);
+            return false;
+        }
+        let findings = findCspWeaknesses(manifest).filter(f => this.categories.has(f.category));
+        if (this.codeCategories.length) {
+            let codeFindings = await this.scanner.queueTask(() => {
+                return this._scanExtension(logger, extdir);
+            });
+            if (!codeFindings) {
+                return false;
+            }
+            findings.push(...codeFindings);
+        }
+        if (!findings.length) {
+            return false;
+        }
+        logger.annotate("securityFindings", findings);
+        if (this.logFindings) {
+            let results = findings.map(f => {
+                if (f.policy) {
+                    return `${f.category}@${f.policy}:${f.directive}:${f.source}`;
+                }
+                return `${f.category}@${f.fileName}:${f.line}:${f.column}`;
+            });
+            logger.replaceOutputLine([extdir, ...results].join(" "));
+        } else {
+            logger.replaceOutputLine(extdir);
+        }
+        return true;
+    }
+
+    // Scans the scripts and pages of the extension for the code categories.
+    // Returns an array of findings, with the first match of each category, or
+    // null if the extension could not be read (a warning is logged).
+    async _scanExtension(logger, extdir) {
+        let scanned = await this.scanner.scanExtension(logger, extdir, {
+            listFiles: async ext => {
+                let filePaths = await ext.listFiles();
+                filePaths = filePaths.filter(p => /\.(?:m?js|html?)$/i.test(p));
+                return filePaths.map(fileName => ({ fileName }));
+            },
+            // All files in one matcher.
+            getMatcherKeys: () => [""],
+        });
+        if (!scanned) {
+            return null;
+        }
+        let qm = scanned.matchers.get("");
+        let matchLocations = qm ? qm.getMatchLocations() : new Map();
+        return this.codeCategories.filter(c => matchLocations.has(c)).map(category => {
+            // Each pattern of addPattern is a single RegExp, so there is one
+            // location.
+            return Object.assign({ category }, matchLocations.get(category)[0]);
+        });
+    }
+
+    async cleanupAndDestroy() {
+        this.qc.destroy();
+    }
+};
+
+// File extensions of the --type option of filter-code.
+const CODE_FILE_TYPES = {
+    js: [".js", ".mjs", ".cjs"],
+    html: [".html", ".htm", ".xhtml"],
+    json: [".json"],
+    css: [".css"],
+};
+
+// Splits the argument of filter-code at commas, except for commas in groups,
+// character classes and quantifiers (e.g. "(a|b),x{1,2}" is "(a|b)" and
+// "x{1,2}"), or that are escaped ("\,").
+function splitRegExpList(arg) {
+    let regexes = [];
+    let start = 0;
+    let depth = 0;
+    let inClass = false;
+    for (let i = 0; i < arg.length; ++i) {
+        let c = arg[i];
+        if (c === "\\") {
+            ++i;
+        } else if (inClass) {
+            inClass = c !== "]";
+        } else if (c === "[") {
+            inClass = true;
+        } else if (c === "(" || c === "{") {
+            ++depth;
+        } else if ((c === ")" || c === "}") && depth) {
+            --depth;
+        } else if (c === "," && !depth) {
+            regexes.push(arg.slice(start, i));
+            start = i + 1;
+        }
+    }
+    regexes.push(arg.slice(start));
+    return regexes;
+}
+
+FILTERS.code = class {
+    static get USAGE() {
+        return String.raw`
+Matches if any of the regular expressions (JavaScript RegExp syntax) is found
+in the files of the extension. To require multiple regular expressions at the
+same time, separate by commas (use \, for a literal comma outside of groups,
+character classes and quantifiers).
+The extension directory root of each input line is considered, even if
+the input line is a file name, and the extension root is output.
+
+Example:
+filter-code 'new WebSocket,wss?://' 'importScripts\('
+matches if new WebSocket and ws:// or wss:// are present, or if importScripts(
+is present.
+
+^ and $ match at the start and end of each line. Like filter-api-usage, the
+regular expressions are also matched after removing JavaScript comments, e.g.
+'chrome\.tabs\.create' also matches chrome.tabs/* comment */.create.
+
+Options:
+ --files               Outputs the matching files instead of the extension
+                       root, one per line. The regular expressions (and commas)
+                       are then matched per file.
+ --type=LIST           Only searches files of the given types (comma-separated):
+                       ${Object.keys(CODE_FILE_TYPES).join(", ")} (default: all of these,
+                       unless --glob is given).
+ --glob=GLOB           Only searches files whose path (relative to the extension
+                       root) matches GLOB, where * matches any characters,
+                       e.g. --glob='*.jsx' or --glob='lib/*'. Can be repeated.
+                       Files that match --type or --glob are searched.
+ --ignore-case         Matches case-insensitively.
+ --max-file-size=SIZE, --max-bytes-in-flight=SIZE, --timeout=SECONDS,
+ --retries=N           Limits the resources of the scan, as in
+                       filter-api-usage.
+
+The matched regular expressions are annotated as matchedRegExps, and with
+--files, the matching files (relative to the extension root) as matchedFiles.
+`;
+    }
+    // Relative cost of filter(), used to run cheap filters first, see FilterStages.
+    static get COST() {
+        return 2; // Reads all selected files and scans them in worker threads.
+    }
+
+    constructor(args) {
+        this.logFiles = false;
+        this.resourceOptions = getDefaultResourceOptions();
+        let types = [];
+        let globs = [];
+        let flags = "m";
+        this.anyOfRegExpLists = [];
+        for (let arg of args) {
+            if (arg === "--files") {
+                this.logFiles = true;
+            } else if (arg.startsWith("--type=")) {
+                for (let type of arg.slice("--type=".length).split(",")) {
+                    if (!Object.prototype.hasOwnProperty.call(CODE_FILE_TYPES, type)) {
+                        throw new Error(`Unsupported type: ${type}
+Choose any of: ${Object.keys(CODE_FILE_TYPES).join(",")}`);
+                    }
+                    types.push(type);
+                }
+            } else if (arg.startsWith("--glob=")) {
+                // Paths are relative to the extension root.
+                globs.push(globToRegExp(arg.slice("--glob=".length).replace(/^\/+/, "")));
+            } else if (arg === "--ignore-case") {
+                flags += "i";
+            } else if (parseResourceOption(arg, this.resourceOptions)) {
+                // Parsed into this.resourceOptions.
+            } else if (arg.startsWith("--")) {
+                throw new Error(`Unsupported argument: ${arg}`);
+            } else {
+                let regexes = splitRegExpList(arg);
+                if (regexes.includes("")) {
+                    throw new Error(`Empty regular expression in: ${arg}`);
+                }
+                this.anyOfRegExpLists.push(regexes);
+            }
+        }
+        if (!this.anyOfRegExpLists.length) {
+            throw new Error("At least one regular expression is required");
+        }
+        if (!types.length && !globs.length) {
+            types = Object.keys(CODE_FILE_TYPES);
+        }
+        let fileExtensions = [].concat(...types.map(type => CODE_FILE_TYPES[type]));
+        this.selectFile = fileName => {
+            let lowerName = fileName.toLowerCase();
+            return fileExtensions.some(ext => lowerName.endsWith(ext)) ||
+                globs.some(glob => glob.test(fileName));
+        };
+
+        this.qc = new weApiFinder.QueryCompiler({}, this.resourceOptions.poolOptions);
+        // The regular expressions are the queries; the commas are evaluated
+        // with the matched queries, see _matchesArgs.
+        for (let regex of new Set([].concat(...this.anyOfRegExpLists))) {
+            this.qc.addPattern(regex, [regex], flags);
+        }
+        this.seenExts = new Set();
+        this.scanner = new ExtensionScanner(this.qc, this.resourceOptions);
+    }
+
+    // Returns the regular expressions of the arguments that matched (a Set of
+    // matched regular expressions), or null if the arguments do not match.
+    _matchesArgs(matchedRegExps) {
+        let matchingLists = this.anyOfRegExpLists.filter(allOfRegExps => {
+            return allOfRegExps.every(regex => matchedRegExps.has(regex));
+        });
+        if (!matchingLists.length) {
+            return null;
+        }
+        return Array.from(new Set([].concat(...matchingLists)));
+    }
+
+    async filter(logger, line) {
+        let extdir = await getExtensionDirectory(line);
+        if (!extdir) {
+            logger.warn(`Not an extension directory: "${line}"`);
+            return false;
+        }
+        if (this.seenExts.has(extdir)) {
+            // Already seen before, handled by previous lines.
+            return false;
+        }
+        this.seenExts.add(extdir);
+        let scanned = await this.scanner.queueTask(() => {
+            return this.scanner.scanExtension(logger, extdir, {
+                listFiles: async ext => {
+                    let filePaths = (await ext.listFiles()).filter(this.selectFile);
+                    return filePaths.map(fileName => ({ fileName }));
+                },
+                // Without --files, all files are matched together (with the
+                // name ""), so that the commas combine matches across files.
+                getMatcherKeys: file => [this.logFiles ? file.fileName : ""],
+            });
+        });
+        if (!scanned) {
+            return false;
+        }
+        let matchedRegExps = new Set();
+        let matchedFiles = [];
+        for (let [fileName, qm] of scanned.matchers) {
+            let fileRegExps = this._matchesArgs(qm.getMatchedResults());
+            if (fileRegExps) {
+                fileRegExps.forEach(regex => matchedRegExps.add(regex));
+                matchedFiles.push(fileName);
+            }
+        }
+        if (!matchedFiles.length) {
+            return false;
+        }
+        logger.annotate("matchedRegExps", Array.from(matchedRegExps));
+        if (this.logFiles) {
+            logger.annotate("matchedFiles", matchedFiles);
+            logger.replaceOutputLine(matchedFiles.map(f => path.join(extdir, f)).join("\n"));
+        } else {
+            logger.replaceOutputLine(extdir);
+        }
+        return true;
+    }
+
+    async cleanupAndDestroy() {
+        this.qc.destroy();
+    }
+};
+
+FILTERS["user-count"] = class {
+    static get USAGE() {
+        return String.raw`
+Filters extensions whose usage (user counts) match the given parameters:
+Supported parameters:
+ N       Exactly N users
+ N+      N or more users
+ N-      N or less users
+ -1      Unknown number of users
+ prepend Prepend the user count before the output line.
+
+User counts are the average_daily_users of the add-on in the AMO metadata.
+${AMO_METADATA_USAGE.trim()}
+
+Each line of input can be any of the following:
+- Directories created by webextaware (or other layouts with an AMO ID).
+- AMO IDs (integers) ("id")
+- Extension IDs ("guid")
+
+Example:
+filter-user-count 10+ 100- prepend
+matches only lines with extensions  with at least 10 and at most 100 users,
+and prepend the user count before the line.
+
+`;
+    }
+
+    // Relative cost of filter(), used to run cheap filters first, see FilterStages.
+    static get COST() {
+        return 0; // Looks up metadata that is loaded once.
+    }
+
+    constructor(args) {
+        this.conditions = [];
+        this.prepend = false;
+
+        let rArgPattern = /^(-?\d+)([+-]?)$/;
+        for (let arg of args) {
+            let parsed = rArgPattern.exec(arg);
+            if (parsed) {
+                this._addCondition(+parsed[1], parsed[2]);
+            } else if (arg === "prepend") {
+                this.prepend = true;
+            } else {
+                throw new Error(`Unsupported argument: ${arg}`);
+            }
+        }
+
+        this._metadataPromise = loadAmoMetadataOnce();
+    }
+
+    _addCondition(num, op) {
+        let func;
+        if (op === "") {
+            func = n => n === num;
+        } else if (op === "+") {
+            func = n => n >= num;
+        } else if (op === "-") {
+            func = n => n <= num;
+        } else {
+            throw new Error(`Unsupported operator: "${op}"`);
+        }
+        this.conditions.push(func);
+    }
+
+    _matchesCondition(n) {
+        return this.conditions.every(func => func(n));
+    }
+
+    async filter(logger, line) {
+        let identifier = await getAddonIdentifier(line, await getExtensionLayouts());
+        if (!identifier) {
+            logger.warn(`Not a path from webextaware, AMO ID or addon ID: "${line}"`);
+            return false;
+        }
+        let metadata = await this._metadataPromise;
+        let addon = metadata.lookup(identifier);
+        let userCount = addon && addon.average_daily_users;
+        if (userCount == null) {
+            userCount = -1;
+        }
+
+        if (!this._matchesCondition(userCount)) {
+            return false;
+        }
+        logger.annotate("userCount", userCount);
+        if (this.prepend) {
+            logger.replaceOutputLine(`${userCount}\t${line}`);
+            return true;
+        }
+        return true;
+    }
+
+    async cleanupAndDestroy() {
+    }
+}
+
+FILTERS.stats = class {
+    static get USAGE() {
+        return `
+Not a filter: aggregates statistics about the extensions in the input, and
+prints them after all input has been read. For each group and value, the
+number and percentage of extensions is shown, and the number and percentage
+of users of these extensions (average_daily_users, see filter-user-count).
+
+Groups:
+ permissions           API and host permissions (including MV3 host_permissions)
+ optional-permissions  Optional API and host permissions
+ manifest-keys         Top-level keys in manifest.json
+ manifest:PATH         Values at PATH in manifest.json, where PATH is as in
+                       the conditions of filter-manifest, e.g. manifest_version
+                       or content_scripts[*].run_at. Arrays are counted per
+                       element. "(missing)" is counted if there is no value.
+ api:QUERY             Whether the API is used, as in filter-api-usage.
+
+Options:
+ --format=FORMAT       Output format: ${CorpusStats.FORMATS.join(", ")} (default: table)
+ --top=N               Only show the N most common values of each group.
+ --no-users            Do not count users (does not need AMO metadata).
+ --precise, --context=LIST, --schemas=DIR, --max-file-size=SIZE,
+ --max-bytes-in-flight=SIZE, --timeout=SECONDS, --retries=N, --libraries=MODE
+                       Passed to filter-api-usage, for api:QUERY.
+
+The user count is looked up by the AMO ID in the path (see filter-user-count),
+or else by the extension ID in manifest.json. Extensions with an unknown user
+count are counted as extensions, but not as users.
+${AMO_METADATA_USAGE.trim()}
+
+Example:
+stats permissions manifest:manifest_version api:webRequest.onBeforeRequest
+shows how many extensions (and users) have each permission, each manifest
+version, and how many use webRequest.onBeforeRequest.
+
+With --then, stats only counts extensions that match all other filters:
+filter-permissions webRequestBlocking --then stats --format=csv manifest-keys
+`;
+    }
+    // Relative cost of filter(), used to run cheap filters first, see FilterStages.
+    static get COST() {
+        // Always runs last, so that only extensions that match all other
+        // filters are counted.
+        return 100;
+    }
+
+    constructor(args) {
+        this.format = "table";
+        this.top = 0;
+        this.weighted = true;
+        // Map from group name to a function that takes a manifest and returns
+        // the values of the group.
+        this.groups = new Map();
+        let apiQueries = [];
+        let apiUsageArgs = [];
+
+        for (let arg of args) {
+            if (arg.startsWith("--format=")) {
+                this.format = arg.slice("--format=".length);
+                if (!CorpusStats.FORMATS.includes(this.format)) {
+                    throw new Error(`Unsupported format: ${this.format}
+Choose one of: ${CorpusStats.FORMATS.join(", ")}`);
+                }
+            } else if (arg.startsWith("--top=")) {
+                this.top = parseInt(arg.slice("--top=".length));
+                if (!(this.top > 0)) {
+                    throw new Error(`--top requires a positive number: ${arg}`);
+                }
+            } else if (arg === "--no-users") {
+                this.weighted = false;
+            } else if (arg === "--precise" || arg.startsWith("--context=") ||
+                arg.startsWith("--schemas=") || isScanOption(arg)) {
+                apiUsageArgs.push(arg);
+            } else if (arg === "permissions") {
+                this._addGroup(arg, manifest => getPermissions(manifest, [
+                    "permissions",
+                    "host_permissions",
+                ]));
+            } else if (arg === "optional-permissions") {
+                this._addGroup(arg, manifest => getPermissions(manifest, [
+                    "optional_permissions",
+                    "optional_host_permissions",
+                ]));
+            } else if (arg === "manifest-keys") {
+                this._addGroup(arg, manifest => Object.keys(manifest));
+            } else if (arg.startsWith("manifest:")) {
+                let manifestPath = arg.slice("manifest:".length);
+                let getValues = parseManifestPath(manifestPath);
+                this._addGroup(manifestPath, manifest => {
+                    let values = [];
+                    for (let value of getValues(manifest)) {
+                        values.push(...(Array.isArray(value) ? value : [value]));
+                    }
+                    if (!values.length) {
+                        return ["(missing)"];
+                    }
+                    return values.map(v => typeof v === "string" ? v : JSON.stringify(v));
+                });
+            } else if (arg.startsWith("api:") && arg.length > "api:".length) {
+                apiQueries.push(arg.slice("api:".length));
+            } else {
+                throw new Error(`Unsupported argument: ${arg}`);
+            }
+        }
+        this.apiUsage = null;
+        if (apiQueries.length) {
+            this._addGroup("api", null);
+            // Queries without operator in between are combined with OR, so
+            // that all queries are scanned.
+            this.apiUsage = new FILTERS["api-usage"](apiUsageArgs.concat(apiQueries));
+        } else if (apiUsageArgs.length) {
+            throw new Error(`${apiUsageArgs[0]} requires api:QUERY`);
+        }
+        if (!this.groups.size) {
+            throw new Error("At least one group is required, e.g. permissions");
+        }
+
+        this.stats = new CorpusStats({ weighted: this.weighted });
+        for (let groupName of this.groups.keys()) {
+            this.stats.addGroup(groupName);
+        }
+        this.seenExts = new Set();
+        if (this.weighted) {
+            this._metadataPromise = loadAmoMetadataOnce();
+        }
+    }
+
+    _addGroup(groupName, getValues) {
+        if (this.groups.has(groupName)) {
+            throw new Error(`Duplicate group: ${groupName}`);
+        }
+        this.groups.set(groupName, getValues);
+    }
+
+    async filter(logger, line) {
+        let layout = await resolveExtensionLayout(line);
+        if (!layout) {
+            logger.warn(`Not an extension directory: "${line}"`);
+            return false;
+        }
+        let extdir = layout.extdir;
+        if (this.seenExts.has(extdir)) {
+            // Already counted.
+            return false;
+        }
+        this.seenExts.add(extdir);
+        let manifest;
+        try {
+            manifest = await getManifest(extdir, { logger });
+        } catch (e) {
+            logger.warn(`Invalid manifest: ${e}`);
+            return false;
+        }
+        let valuesByGroup = new Map();
+        for (let [groupName, getValues] of this.groups) {
+            if (getValues) {
+                valuesByGroup.set(groupName, getValues(manifest));
+            }
+        }
+        if (this.apiUsage) {
+            let matches = await this.apiUsage.findMatches(logger, extdir);
+            if (!matches) {
+                return false;
+            }
+            valuesByGroup.set("api", matches.contextsByQuery.keys());
+        }
+        let userCount = 0;
+        if (this.weighted) {
+            userCount = await this._getUserCount(layout, manifest);
+        }
+        this.stats.addExtension(userCount, valuesByGroup);
+        // The statistics are printed by getFinalOutput.
+        return false;
+    }
+
+    async _getUserCount(layout, manifest) {
+        let metadata = await this._metadataPromise;
+        let addon;
+        if (layout.groups.amoid) {
+            addon = metadata.getByAMOId(parseInt(layout.groups.amoid));
+        } else {
+            let settings = manifest.browser_specific_settings || manifest.applications;
+            let extId = settings && settings.gecko && settings.gecko.id;
+            if (extId) {
+                addon = metadata.getByGuid(extId);
+            }
+        }
+        let userCount = addon && addon.average_daily_users;
+        return userCount == null ? -1 : userCount;
+    }
+
+    // Called after all lines have been processed. Returns the output.
+    async getFinalOutput() {
+        return this.stats.format(this.format, this.top);
+    }
+
+    async cleanupAndDestroy() {
+        if (this.apiUsage) {
+            await this.apiUsage.cleanupAndDestroy();
+        }
+    }
+};
+
+FILTERS["diff-versions"] = class {
+    static get USAGE() {
+        return `
+Not a filter: groups the extensions in the input by add-on, orders them by
+version, and prints what changed between consecutive versions, after all
+input has been read.
+
+Add-ons are identified by the AMO ID in the path (webextaware), the addon-id
+of the unzipped layout, or else the extension ID in manifest.json. Versions
+are ordered by the version-id of the unzipped layout, or else by the version
+in manifest.json.
+
+Changes to compare:
+ all                   All of the below, except api:QUERY.
+ permissions           Added or removed API permissions (including optional).
+ host-permissions      Added or removed host permissions (including optional
+                       and MV3 host_permissions).
+ manifest-version      Changes of manifest_version.
+ csp                   Changes of content_security_policy.
+ api:QUERY             Newly used or dropped APIs, as in filter-api-usage.
+
+Options:
+ --format=FORMAT       Output format: ${VersionHistory.FORMATS.join(", ")} (default: text)
+ --escalations         Only show versions that add permissions or host
+                       permissions (not optional ones).
+ --precise, --context=LIST, --schemas=DIR, --max-file-size=SIZE,
+ --max-bytes-in-flight=SIZE, --timeout=SECONDS, --retries=N, --libraries=MODE
+                       Passed to filter-api-usage, for api:QUERY.
+
+Example:
+diff-versions all api:tabs.executeScript api:scripting.executeScript
+shows the permission, manifest and CSP changes of each add-on, and when it
+started or stopped to use tabs.executeScript or scripting.executeScript.
+
+diff-versions --escalations permissions host-permissions
+only shows updates that request more permissions.
+`;
+    }
+    // Relative cost of filter(), used to run cheap filters first, see FilterStages.
+    static get COST() {
+        // Always runs last, so that only extensions that match all other
+        // filters are compared.
+        return 100;
+    }
+
+    constructor(args) {
+        this.format = "text";
+        let escalationsOnly = false;
+        let keys = new Set();
+        let apiQueries = [];
+        let apiUsageArgs = [];
+        const KEYS_BY_ARG = {
+            "permissions": ["permissions", "optional_permissions"],
+            "host-permissions": ["host_permissions", "optional_host_permissions"],
+            "manifest-version": ["manifest_version"],
+            "csp": ["content_security_policy"],
+        };
+        KEYS_BY_ARG.all = [].concat(...Object.values(KEYS_BY_ARG));
+
+        for (let arg of args) {
+            if (arg.startsWith("--format=")) {
+                this.format = arg.slice("--format=".length);
+                if (!VersionHistory.FORMATS.includes(this.format)) {
+                    throw new Error(`Unsupported format: ${this.format}
+Choose one of: ${VersionHistory.FORMATS.join(", ")}`);
+                }
+            } else if (arg === "--escalations") {
+                escalationsOnly = true;
+            } else if (arg === "--precise" || arg.startsWith("--context=") ||
+                arg.startsWith("--schemas=") || isScanOption(arg)) {
+                apiUsageArgs.push(arg);
+            } else if (Object.prototype.hasOwnProperty.call(KEYS_BY_ARG, arg)) {
+                KEYS_BY_ARG[arg].forEach(key => keys.add(key));
+            } else if (arg.startsWith("api:") && arg.length > "api:".length) {
+                apiQueries.push(arg.slice("api:".length));
+                keys.add("apis");
+            } else {
+                throw new Error(`Unsupported argument: ${arg}`);
+            }
+        }
+        this.apiUsage = null;
+        if (apiQueries.length) {
+            this.apiUsage = new FILTERS["api-usage"](apiUsageArgs.concat(apiQueries));
+        } else if (apiUsageArgs.length) {
+            throw new Error(`${apiUsageArgs[0]} requires api:QUERY`);
+        }
+        if (escalationsOnly && !keys.has("permissions") && !keys.has("host_permissions")) {
+            throw new Error("--escalations requires permissions or host-permissions");
+        }
+        if (!keys.size) {
+            throw new Error("At least one change to compare is required, e.g. permissions");
+        }
+
+        this.history = new VersionHistory({
+            keys: VersionHistory.KEYS.filter(key => keys.has(key)),
+            escalationsOnly,
+        });
+        this.seenExts = new Set();
+    }
+
+    async filter(logger, line) {
+        let layout = await resolveExtensionLayout(line);
+        if (!layout) {
+            logger.warn(`Not an extension directory: "${line}"`);
+            return false;
+        }
+        let extdir = layout.extdir;
+        if (this.seenExts.has(extdir)) {
+            // Already added.
+            return false;
+        }
+        this.seenExts.add(extdir);
+        let manifest;
+        try {
+            manifest = await getManifest(extdir, { logger });
+        } catch (e) {
+            logger.warn(`Invalid manifest: ${e}`);
+            return false;
+        }
+        let apis;
+        if (this.apiUsage) {
+            let matches = await this.apiUsage.findMatches(logger, extdir);
+            if (!matches) {
+                return false;
+            }
+            apis = Array.from(matches.contextsByQuery.keys());
+        }
+        let addon = layout.groups.amoid || layout.groups.addonid;
+        if (!addon) {
+            let settings = manifest.browser_specific_settings || manifest.applications;
+            addon = settings && settings.gecko && settings.gecko.id || extdir;
+        }
+        let versionId = layout.groups.versionid ? parseInt(layout.groups.versionid) : undefined;
+        this.history.addVersion(addon, { extdir, manifest, versionId, apis });
+        // The changes are printed by getFinalOutput.
+        return false;
+    }
+
+    // Called after all lines have been processed. Returns the output.
+    async getFinalOutput() {
+        return this.history.format(this.format);
+    }
+
+    async cleanupAndDestroy() {
+        if (this.apiUsage) {
+            await this.apiUsage.cleanupAndDestroy();
+        }
+    }
+};
+
+// Runs multiple filters as one filter: a line is only output if all filters
+// match. The filters are run from cheap to expensive (see COST), and stop at
+// the first filter that does not match.
+//
+// Every filter receives the input line. If filters change the output line, the
+// changes are combined in the order of the filters as given: if the output of
+// a filter contains the input line, then the input line is substituted with
+// the output so far; otherwise the output is replaced.
+class FilterStages {
+    constructor(filterCmds) {
+        this.filterCmds = filterCmds;
+        // Array.prototype.sort is stable, so equal costs keep their order.
+        this.filterCmdsByCost = filterCmds.slice().sort((a, b) => {
+            return a.constructor.COST - b.constructor.COST;
+        });
+    }
+
+    async filter(logger, line) {
+        let outputLines = new Map();
+        for (let filterCmd of this.filterCmdsByCost) {
+            let stageLogger = Object.create(logger);
+            stageLogger.replaceOutputLine = newOutputLine => {
+                outputLines.set(filterCmd, newOutputLine);
+            };
+            if (!await filterCmd.filter(stageLogger, line)) {
+                return false;
+            }
+        }
+        let outputLine = line;
+        for (let filterCmd of this.filterCmds) {
+            let newOutputLine = outputLines.get(filterCmd);
+            if (newOutputLine === undefined) {
+                continue;
+            }
+            if (newOutputLine.includes(line)) {
+                newOutputLine = newOutputLine.replace(line, () => outputLine);
+            }
+            outputLine = newOutputLine;
+        }
+        if (outputLine !== line) {
+            logger.replaceOutputLine(outputLine);
+        }
+        return true;
+    }
+
+    async getFinalOutput() {
+        let outputs = [];
+        for (let filterCmd of this.filterCmds) {
+            if (filterCmd.getFinalOutput) {
+                outputs.push(await filterCmd.getFinalOutput());
+            }
+        }
+        return outputs.length ? outputs.join("\n") : undefined;
+    }
+
+    async cleanupAndDestroy() {
+        for (let filterCmd of this.filterCmds) {
+            await filterCmd.cleanupAndDestroy();
+        }
+    }
+}
+
+// Parsed manifests and file listings of recently seen extensions, shared by
+// all filters.
+const extensionCache = new ExtensionCache(1000);
+// The opened extensions, so that an archive is read once to read the manifest
+// and to scan its files. Separate from extensionCache, because an archive is
+// kept in memory; only the most recently used ones are needed, because the
+// input usually lists all files of an extension together.
+const openedExtensionCache = new ExtensionCache(16);
+
+// Persistent cache across runs, see configure. null if disabled.
+var analysisCache = null;
+
+// Locale to resolve __MSG_ placeholders in manifest.json, see configure.
+// null to keep the placeholders.
+var manifestLocale = null;
+
+// Path of the AMO metadata file, see configure and getMetadataFile.
+var amoMetadataFileArg;
+var amoMetadataPromise = null;
+
+// Loads the AMO metadata once, shared by all filters.
+function loadAmoMetadataOnce() {
+    if (!amoMetadataPromise) {
+        amoMetadataPromise = (async () => {
+            let metadataFile = await getMetadataFile(amoMetadataFileArg);
+            return loadAmoMetadata(metadataFile, ["average_daily_users"]);
+        })();
+    }
+    return amoMetadataPromise;
+}
+
+/**
+ * Returns the parsed manifest.json of the extension.
+ *
+ * @param {string} extdir - The extension directory (or archive).
+ * @param {object} [options]
+ * @param {string|null} [options.locale] - Locale to resolve __MSG_ placeholders
+ *   with, e.g. "de" or "default" (default_locale), see extension-locales.js.
+ *   Defaults to the locale of configure; null keeps the placeholders.
+ * @param {object} [options.logger] - Logger of a filter, to report warnings
+ *   about missing or broken locale files.
+ */
+async function getManifest(extdir, { locale = manifestLocale, logger } = {}) {
+    let manifest = await readManifestWithCache(extdir);
+    if (!locale) {
+        return manifest;
+    }
+    let cacheKey = `manifest:${locale}`;
+    let { localized, warnings } = await extensionCache.get(extdir, cacheKey, async () => {
+        let localeWarnings = [];
+        let localizedManifest = await localizeManifest(
+            await openExtensionWithCache(extdir),
+            manifest,
+            locale,
+            warning => localeWarnings.push(warning)
+        );
+        return { localized: localizedManifest, warnings: localeWarnings };
+    });
+    if (logger) {
+        for (let warning of warnings) {
+            logger.warn(warning);
+        }
+    }
+    return localized;
+}
+
+// Like openExtension, but shares the opened extension, see openedExtensionCache.
+function openExtensionOnce(extdir) {
+    return openedExtensionCache.get(extdir, "extension", () => openExtension(extdir));
+}
+
+async function readManifestWithCache(extdir) {
+    return extensionCache.get(extdir, "manifest", async () => {
+        if (!analysisCache) {
+            return readManifest(await openExtensionOnce(extdir));
+        }
+        let fingerprint = await analysisCache.getManifestFingerprint(extdir);
+        let manifest = await analysisCache.getManifest(extdir, fingerprint);
+        if (manifest === undefined) {
+            manifest = await readManifest(await openExtensionOnce(extdir));
+            await analysisCache.setManifest(extdir, fingerprint, manifest);
+        }
+        return manifest;
+    });
+}
+
+// Like openExtension, but the result of listFiles() is cached. Archives are
+// only read when needed, e.g. not if all results are in analysisCache.
+async function openExtensionWithCache(extdir) {
+    let extPromise = null;
+    function getExtension() {
+        if (!extPromise) {
+            extPromise = openExtensionOnce(extdir);
+        }
+        return extPromise;
+    }
+    return {
+        extdir,
+        listFiles() {
+            return extensionCache.get(extdir, "files", async () => {
+                return (await getExtension()).listFiles();
+            });
+        },
+        async readFile(relPath, encoding) {
+            return (await getExtension()).readFile(relPath, encoding);
+        },
+        async getFileSize(relPath) {
+            return (await getExtension()).getFileSize(relPath);
+        },
+    };
+}
+
+// Returns the permissions (strings) in the given manifest keys.
+function getPermissions(manifest, keys) {
+    let permissions = [];
+    for (let key of keys) {
+        if (Array.isArray(manifest[key])) {
+            permissions.push(...manifest[key].filter(p => typeof p === "string"));
+        }
+    }
+    return permissions;
+}
+
+async function readManifest(ext) {
+    let manifestJsonData = await ext.readFile('manifest.json', 'utf-8');
+    if (manifestJsonData.startsWith('\uFEFF')) {
+        manifestJsonData = manifestJsonData.slice(1);
+    }
+    let manifest;
+    try {
+        manifest = JSON.parse(manifestJsonData);
+    } catch (e) {
+        manifest = JSON.parse(stripJsonComments(manifestJsonData));
+    }
+    if (typeof manifest !== 'object' || manifest === null) {
+        throw new Error(`manifest.json does not contain an object`);
+    }
+    return manifest;
+}
+
+// Promise for the ExtensionLayouts that map paths to extensions, see
+// configure. Defaults to the layouts from the environment.
+var extensionLayoutsPromise = null;
+
+function getExtensionLayouts() {
+    if (!extensionLayoutsPromise) {
+        extensionLayoutsPromise = ExtensionLayouts.fromEnvironment();
+    }
+    return extensionLayoutsPromise;
+}
+
+// Returns the layout of the extension at filepath, i.e. an object with the
+// extension directory ("extdir") and named parts of the path ("groups").
+// Returns null if filepath does not match any known layout.
+async function resolveExtensionLayout(filepath) {
+    return (await getExtensionLayouts()).resolve(filepath);
+}
+
+// Returns the part of filepath that is an extension directory.
+async function getExtensionDirectory(filepath) {
+    let layout = await resolveExtensionLayout(filepath);
+    return layout ? layout.extdir : undefined;
+}
+
+/**
+ * Configures the state that is shared by all filters. Options that are not
+ * set keep their current value.
+ *
+ * @param {object} options
+ * @param {ExtensionLayouts} [options.extensionLayouts] - Layouts to find the
+ *   extension of a path (default: ExtensionLayouts.fromEnvironment()).
+ * @param {string|null} [options.cacheDir] - Directory of the persistent
+ *   analysis cache (see analysis-cache.js), or null to disable the cache.
+ * @param {string} [options.metadataFile] - AMO metadata file, see
+ *   getMetadataFile in amo-metadata.js.
+ * @param {string|null} [options.locale] - Locale to resolve __MSG_
+ *   placeholders in manifest.json with, e.g. "de" or "default" (the
+ *   default_locale of the extension), or null to keep them. See getManifest.
+ */
+function configure(options) {
+    if (options.extensionLayouts !== undefined) {
+        extensionLayoutsPromise = Promise.resolve(options.extensionLayouts);
+    }
+    if (options.cacheDir !== undefined) {
+        analysisCache = options.cacheDir ? new AnalysisCache(options.cacheDir) : null;
+    }
+    if (options.metadataFile !== undefined) {
+        amoMetadataFileArg = options.metadataFile;
+        amoMetadataPromise = null;
+    }
+    if (options.locale !== undefined) {
+        manifestLocale = options.locale;
+    }
+}
+
+// Splits a filter spec at --then into stages, i.e. objects with the name of
+// the filter ("cmd") and its arguments ("args").
+function splitFilterSpec(spec) {
+    let stages = [{ cmd: null, args: [] }];
+    for (let arg of spec) {
+        if (arg === "--then") {
+            stages.push({ cmd: null, args: [] });
+        } else if (stages[stages.length - 1].cmd === null) {
+            stages[stages.length - 1].cmd = arg.replace(/^filter-/, '');
+        } else {
+            stages[stages.length - 1].args.push(arg);
+        }
+    }
+    return stages;
+}
+
+// Creates the filter for a filter spec. The caller should call
+// cleanupAndDestroy() on the result when done.
+function createFilter(spec) {
+    let filterCmds = splitFilterSpec(spec).map(stage => {
+        let FilterClass = FILTERS[stage.cmd];
+        if (!FilterClass) {
+            throw new Error(`Unknown filter command: ${stage.cmd}
+Choose one of: ${Object.keys(FILTERS).join(' ')}`);
+        }
+        if (stage.args.length === 0) {
+            throw new Error(`Missing arguments for filter-${stage.cmd}`);
+        }
+        return new FilterClass(stage.args);
+    });
+    return filterCmds.length === 1 ? filterCmds[0] : new FilterStages(filterCmds);
+}
+
+// Runs the filter on one input, a path or a record (see ndjson-records.js).
+async function runFilter(filterCmd, input) {
+    let record = typeof input === "string" ? { path: input } : input;
+    let line = record.path;
+    let result = {
+        path: line,
+        extdir: record.extdir || null,
+        matched: false,
+        output: line,
+        annotations: Object.assign({}, record.annotations),
+        warnings: [],
+    };
+    let logger = {
+        warn(msg) {
+            result.warnings.push(msg);
+        },
+        replaceOutputLine(newOutputLine) {
+            result.output = newOutputLine;
+        },
+        // Adds information about the line, e.g. for the records of --ndjson.
+        annotate(key, value) {
+            result.annotations[key] = value;
+        },
+    };
+    result.matched = !!await filterCmd.filter(logger, line);
+    if (result.matched && !result.extdir) {
+        result.extdir = await getExtensionDirectory(line) || null;
+    }
+    return result;
+}
+
+/**
+ * Runs a filter on every input. The inputs are processed concurrently, and
+ * the results are yielded in the order of the inputs.
+ *
+ * @param {AsyncIterable<string|object>} inputs - Paths (or other lines of
+ *   input of the filter command), or records from ndjson-records.js.
+ * @param {string[]|object} filter - A filter spec, or a filter from
+ *   createFilter. A filter created from a spec is destroyed at the end; a
+ *   given filter is not, so that e.g. getFinalOutput() can be called.
+ * @yields {object} For every input, an object with:
+ *   - path: the path of the input.
+ *   - extdir: the extension directory, if known (null otherwise).
+ *   - matched: whether the input matched the filter.
+ *   - output: the output line of the filter command.
+ *   - annotations: information added by filters, e.g. userCount.
+ *   - warnings: an array of warning messages.
+ */
+async function* runFilters(inputs, filter) {
+    let filterCmd = Array.isArray(filter) ? createFilter(filter) : filter;
+    let pendingResults = [];
+    let inputDone = false;
+    let stopped = false;
+    let wakeUp = null;
+    function notify() {
+        if (wakeUp) {
+            wakeUp();
+            wakeUp = null;
+        }
+    }
+    // Read inputs while earlier results are being consumed.
+    let reading = (async () => {
+        try {
+            for await (let input of inputs) {
+                if (stopped) {
+                    break;
+                }
+                let resultPromise = runFilter(filterCmd, input);
+                // Errors are thrown when the result is yielded.
+                resultPromise.catch(() => {});
+                pendingResults.push(resultPromise);
+                notify();
+            }
+        } finally {
+            inputDone = true;
+            notify();
+        }
+    })();
+    reading.catch(() => {});
+    try {
+        for (;;) {
+            if (pendingResults.length) {
+                yield await pendingResults.shift();
+            } else if (inputDone) {
+                break;
+            } else {
+                await new Promise(resolve => {
+                    wakeUp = resolve;
+                });
+            }
+        }
+        await reading;
+    } finally {
+        stopped = true;
+        if (filterCmd !== filter) {
+            await filterCmd.cleanupAndDestroy();
+        }
+    }
+}
+
+exports.FILTERS = FILTERS;
+exports.FilterStages = FilterStages;
+exports.configure = configure;
+exports.createFilter = createFilter;
+exports.getExtensionDirectory = getExtensionDirectory;
+exports.getManifest = getManifest;
+exports.resolveExtensionLayout = resolveExtensionLayout;
+exports.runFilters = runFilters;
+exports.splitFilterSpec = splitFilterSpec;
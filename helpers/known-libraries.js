@@ -0,0 +1,103 @@
+"use strict";
+
+/**
+ * Recognizes known third-party libraries in scripts, e.g. the
+ * webextension-polyfill (browser-polyfill.js), which mentions nearly every
+ * API, or jQuery, whose code looks like aliases of APIs. See the --libraries
+ * option of filter-api-usage.
+ *
+ * The libraries are listed in data/known-libraries.json, and can be extended
+ * with files in the same format:
+ *
+ * {
+ *   "libraries": {
+ *     "webextension-polyfill": {
+ *       "sha256": ["<hex SHA-256 hash of browser-polyfill.min.js>"],
+ *       "signatures": ["webextension-polyfill - v\\d"]
+ *     }
+ *   }
+ * }
+ *
+ * Usage:
+ * const knownLibraries = KnownLibraries.load(["/path/to/more-libraries.json"]);
+ * knownLibraries.identify(sourceText); // e.g. "webextension-polyfill" or null
+ * knownLibraries.findBundled(sourceText); // e.g. ["jquery"]
+ */
+
+const crypto = require("crypto");
+const fs = require("graceful-fs");
+const path = require("path");
+
+const DEFAULT_FILE = path.join(__dirname, "..", "data", "known-libraries.json");
+
+function sha256(str) {
+    return crypto.createHash("sha256").update(str).digest("hex");
+}
+
+class KnownLibraries {
+    constructor() {
+        // Map from SHA-256 hash to library name.
+        this.hashes = new Map();
+        // Array of [RegExp, library name].
+        this.signatures = [];
+        // The contents of the loaded files, to fingerprint the database.
+        this.sources = [];
+    }
+
+    // Loads data/known-libraries.json and the given files, if any.
+    static load(files = []) {
+        let knownLibraries = new KnownLibraries();
+        for (let file of [DEFAULT_FILE, ...files]) {
+            let data;
+            try {
+                data = fs.readFileSync(file, "utf-8");
+                knownLibraries.addLibraries(JSON.parse(data));
+            } catch (e) {
+                throw new Error(`Invalid library file ${file}: ${e.message}`);
+            }
+            knownLibraries.sources.push(data);
+        }
+        return knownLibraries;
+    }
+
+    addLibraries({ libraries }) {
+        if (typeof libraries !== "object" || !libraries) {
+            throw new Error(`Expected an object with "libraries"`);
+        }
+        for (let [name, { sha256: hashes = [], signatures = [] }] of Object.entries(libraries)) {
+            for (let hash of hashes) {
+                this.hashes.set(hash.toLowerCase(), name);
+            }
+            for (let signature of signatures) {
+                this.signatures.push([new RegExp(signature), name]);
+            }
+        }
+    }
+
+    // Identifies the database, e.g. to invalidate cached results when it
+    // changes.
+    getFingerprint() {
+        return sha256(this.sources.join("\n"));
+    }
+
+    // Returns the name of the library if the script is exactly a known build
+    // of it (by hash), or null otherwise.
+    identify(sourceText) {
+        return this.hashes.get(sha256(sourceText)) || null;
+    }
+
+    // Returns the names of the libraries whose signature is found in the
+    // script. Unlike identify, the script may contain other code too, e.g. a
+    // bundle of the library with the code of the extension.
+    findBundled(sourceText) {
+        let names = new Set();
+        for (let [regExp, name] of this.signatures) {
+            if (regExp.test(sourceText)) {
+                names.add(name);
+            }
+        }
+        return Array.from(names);
+    }
+}
+
+module.exports = KnownLibraries;
@@ -0,0 +1,259 @@
+"use strict";
+
+/**
+ * Query language to select values in manifest.json and test conditions.
+ *
+ * A condition has the form <path><operator><value> or <path>:<check>.
+ *
+ * Paths are dot-separated keys. Other segments:
+ * - [N]    array element at index N.
+ * - * [*]  any element of an array or any value of an object.
+ * - ["k"]  key k, which may contain characters such as "." or "=".
+ * Example: content_scripts[*].matches
+ *
+ * Operators:
+ * - =~ REGEX   matches the regular expression.
+ * - == VALUE   equals VALUE as a JSON value, or as a string.
+ * - > >= < <= NUMBER  numeric comparison.
+ * - != and !~  negations of == and =~.
+ * Checks:
+ * - :exists :missing  whether the path has a value (other than null).
+ * - :string :number :boolean :array :object :null  type checks.
+ *
+ * When a path matches multiple values (wildcards), a condition is true if any
+ * of the values satisfies it. The negations (!=, !~, :missing) are true if none
+ * of the values satisfy the positive condition. Array values are compared per
+ * element, unless VALUE of == or != is an array or object.
+ *
+ * Conditions can be combined: parseManifestQuery takes a list of arguments,
+ * where each argument is a comma-separated list of conditions that must all
+ * be true (use \, for a literal comma). The query is true if any argument is.
+ */
+
+const TYPES = ["string", "number", "boolean", "array", "object", "null"];
+const R_OPERATOR = /^(=~|!~|==|!=|>=|<=|>|<|:)/;
+
+function getType(value) {
+    if (value === null) {
+        return "null";
+    }
+    return Array.isArray(value) ? "array" : typeof value;
+}
+
+function isEqual(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (typeof a !== "object" || typeof b !== "object" || !a || !b ||
+        Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+    let aKeys = Object.keys(a);
+    let bKeys = Object.keys(b);
+    return aKeys.length === bKeys.length &&
+        aKeys.every(key => Object.prototype.hasOwnProperty.call(b, key) &&
+            isEqual(a[key], b[key]));
+}
+
+// Parses the path at the start of str. Returns { segments, rest }, where each
+// segment is { key } or { index } or { wildcard: true }.
+function parsePath(str) {
+    let segments = [];
+    let pos = 0;
+    while (pos < str.length) {
+        if (str[pos] === "[") {
+            let match = /^\[(?:(\*)|(\d+)|"((?:[^"\\]|\\.)*)")\]/.exec(str.slice(pos));
+            if (!match) {
+                throw new Error(`Invalid path segment at: ${str.slice(pos)}`);
+            }
+            if (match[1]) {
+                segments.push({ wildcard: true });
+            } else if (match[2]) {
+                segments.push({ index: parseInt(match[2]) });
+            } else {
+                segments.push({ key: JSON.parse(`"${match[3]}"`) });
+            }
+            pos += match[0].length;
+        } else if (str[pos] === "." && segments.length) {
+            ++pos;
+            let key = /^[^.[\]=!~<>:]*/.exec(str.slice(pos))[0];
+            if (key) {
+                segments.push(key === "*" ? { wildcard: true } : { key });
+                pos += key.length;
+            } else if (str[pos] !== "[") {
+                throw new Error(`Missing key after "." in: ${str}`);
+            }
+        } else if (!segments.length) {
+            let key = /^[^.[\]=!~<>:]*/.exec(str)[0];
+            if (!key) {
+                throw new Error(`Missing path in: ${str}`);
+            }
+            segments.push(key === "*" ? { wildcard: true } : { key });
+            pos += key.length;
+        } else {
+            break;
+        }
+    }
+    return { segments, rest: str.slice(pos) };
+}
+
+// Returns all values at the path (an array, empty if there are none).
+function resolvePath(value, segments) {
+    let values = [value];
+    for (let segment of segments) {
+        let nextValues = [];
+        for (let v of values) {
+            if (typeof v !== "object" || v === null) {
+                continue;
+            }
+            if (segment.wildcard) {
+                nextValues.push(...Object.values(v));
+            } else if (segment.index !== undefined) {
+                if (Array.isArray(v) && segment.index < v.length) {
+                    nextValues.push(v[segment.index]);
+                }
+            } else if (Object.prototype.hasOwnProperty.call(v, segment.key)) {
+                nextValues.push(v[segment.key]);
+            }
+        }
+        values = nextValues;
+    }
+    return values.filter(v => v !== undefined);
+}
+
+// Returns { test, perElement }, where test is a function that tests whether a
+// value satisfies the operator + operand (without negation), and perElement
+// is whether arrays should be tested per element instead of as a whole.
+function createValueTest(op, operand, condition) {
+    if (op === "=~") {
+        let regex;
+        try {
+            regex = new RegExp(operand);
+        } catch (e) {
+            throw new Error(`Invalid regular expression in "${condition}": ${e.message}`);
+        }
+        return {
+            test: v => typeof v !== "object" && regex.test(String(v)),
+            perElement: true,
+        };
+    }
+    if (op === "==") {
+        let expected;
+        try {
+            expected = JSON.parse(operand);
+        } catch (e) {
+            expected = operand;
+        }
+        if (typeof expected === "object" && expected !== null) {
+            return { test: v => isEqual(v, expected), perElement: false };
+        }
+        return {
+            // E.g. version==1.2 matches "1.2", although 1.2 is valid JSON.
+            test: v => v === expected || v === operand,
+            perElement: true,
+        };
+    }
+    // Numeric comparison.
+    let expected = Number(operand);
+    if (operand.trim() === "" || !Number.isFinite(expected)) {
+        throw new Error(`Expected a number in "${condition}"`);
+    }
+    const compare = {
+        ">": (a, b) => a > b,
+        ">=": (a, b) => a >= b,
+        "<": (a, b) => a < b,
+        "<=": (a, b) => a <= b,
+    }[op];
+    return {
+        test: v => {
+            if (typeof v === "string" && v.trim() !== "") {
+                v = Number(v);
+            }
+            return typeof v === "number" && compare(v, expected);
+        },
+        perElement: true,
+    };
+}
+
+/**
+ * Parses a condition. Returns a function that takes a manifest and returns
+ * whether the condition is true.
+ */
+function parseManifestCondition(condition) {
+    let { segments, rest } = parsePath(condition);
+    let opMatch = R_OPERATOR.exec(rest);
+    if (!opMatch) {
+        throw new Error(`Missing operator in "${condition}"`);
+    }
+    let op = opMatch[1];
+    let operand = rest.slice(op.length);
+
+    if (op === ":") {
+        if (operand === "exists" || operand === "missing") {
+            let wantExists = operand === "exists";
+            return manifest => {
+                let exists = resolvePath(manifest, segments).some(v => v !== null);
+                return exists === wantExists;
+            };
+        }
+        if (!TYPES.includes(operand)) {
+            throw new Error(`Unknown check in "${condition}", expected one of: ` +
+                ["exists", "missing", ...TYPES].join(", "));
+        }
+        return manifest => resolvePath(manifest, segments).some(v => getType(v) === operand);
+    }
+
+    let negate = op === "!=" || op === "!~";
+    if (negate) {
+        op = op === "!=" ? "==" : "=~";
+    }
+    let { test, perElement } = createValueTest(op, operand, condition);
+    if (perElement) {
+        let testValue = test;
+        test = v => Array.isArray(v) ? v.some(testValue) : testValue(v);
+    }
+    return manifest => {
+        let result = resolvePath(manifest, segments).some(test);
+        return negate ? !result : result;
+    };
+}
+
+function isManifestCondition(str) {
+    try {
+        return R_OPERATOR.test(parsePath(str).rest);
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Parses a path. Returns a function that takes a manifest and returns all
+ * values at the path (an array, empty if there are none).
+ */
+function parseManifestPath(pathStr) {
+    let { segments, rest } = parsePath(pathStr);
+    if (rest) {
+        throw new Error(`Unexpected "${rest}" in path: ${pathStr}`);
+    }
+    return manifest => resolvePath(manifest, segments);
+}
+
+/**
+ * Parses a list of arguments into a function that takes a manifest and
+ * returns whether any of the arguments is true. Each argument is a
+ * comma-separated list of conditions that must all be true.
+ */
+function parseManifestQuery(args) {
+    let anyOfConditionLists = args.map(arg => {
+        let conditions = arg.split(/(?<!\\),/).map(c => c.replace(/\\,/g, ","));
+        return conditions.map(parseManifestCondition);
+    });
+    return manifest => anyOfConditionLists.some(allOfConditions => {
+        return allOfConditions.every(condition => condition(manifest));
+    });
+}
+
+exports.isManifestCondition = isManifestCondition;
+exports.parseManifestCondition = parseManifestCondition;
+exports.parseManifestPath = parseManifestPath;
+exports.parseManifestQuery = parseManifestQuery;
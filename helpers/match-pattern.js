@@ -0,0 +1,88 @@
+"use strict";
+
+/**
+ * Match patterns as used by WebExtensions in host permissions and
+ * content_scripts[].matches, e.g. "*://*.example.com/*" or "<all_urls>".
+ * See https://developer.mozilla.org/en-US/docs/Mozilla/Add-ons/WebExtensions/Match_patterns
+ *
+ * Usage:
+ * const mp = parseMatchPattern("*://*.example.com/*");
+ * mp.matches(new URL("https://www.example.com/")); // true
+ */
+
+const { globToRegExp } = require("./extension-inventory");
+
+// Schemes matched by "<all_urls>".
+const ALL_URLS_SCHEMES = ["http", "https", "ws", "wss", "ftp", "file", "data"];
+// Schemes matched by "*" in the scheme part.
+const WILDCARD_SCHEMES = ["http", "https", "ws", "wss"];
+// Default ports of schemes. URL.port is "" for the default port.
+const DEFAULT_PORTS = { http: "80", https: "443", ws: "80", wss: "443", ftp: "21" };
+
+const R_MATCH_PATTERN =
+    /^(\*|[a-z][a-z0-9+.-]*):\/\/(\*|\*\.[^/*:]+|\[[^\]/]+\]|[^/*:[]+)?(:\d+|:\*)?(\/.*)$/i;
+
+// Returns whether the string looks like a host permission rather than an API
+// permission, e.g. "https://*/*" versus "tabs".
+function isHostPermission(permission) {
+    return permission === "<all_urls>" || permission.includes("://");
+}
+
+// Returns an object with a matches(url) method, or null if the pattern is not
+// a valid match pattern. url is a URL instance.
+function parseMatchPattern(pattern) {
+    if (pattern === "<all_urls>") {
+        return {
+            pattern,
+            matches: url => ALL_URLS_SCHEMES.includes(url.protocol.slice(0, -1)),
+        };
+    }
+    let match = R_MATCH_PATTERN.exec(pattern);
+    if (!match) {
+        return null;
+    }
+    let [, scheme, host = "", port = "", path] = match;
+    scheme = scheme.toLowerCase();
+    host = host.toLowerCase();
+    if (!host && scheme !== "file") {
+        return null;
+    }
+    let pathRegExp = globToRegExp(path);
+
+    function matchesScheme(urlScheme) {
+        return scheme === "*" ? WILDCARD_SCHEMES.includes(urlScheme) : scheme === urlScheme;
+    }
+    function matchesHost(urlHost) {
+        if (host === "*") {
+            return true;
+        }
+        if (host.startsWith("*.")) {
+            let domain = host.slice(2);
+            return urlHost === domain || urlHost.endsWith("." + domain);
+        }
+        return urlHost === host;
+    }
+    function matchesPort(urlScheme, urlPort) {
+        if (!port || port === ":*") {
+            return true;
+        }
+        // Compare numbers, so that e.g. :443 matches https://example.com/.
+        let defaultPort = DEFAULT_PORTS[urlScheme];
+        return Number(port.slice(1)) === Number(urlPort || defaultPort);
+    }
+
+    return {
+        pattern,
+        matches(url) {
+            let urlScheme = url.protocol.slice(0, -1);
+            // The path of a match pattern is matched against path and query.
+            return matchesScheme(urlScheme) &&
+                matchesHost(url.hostname) &&
+                matchesPort(urlScheme, url.port) &&
+                pathRegExp.test(url.pathname + url.search);
+        },
+    };
+}
+
+exports.isHostPermission = isHostPermission;
+exports.parseMatchPattern = parseMatchPattern;
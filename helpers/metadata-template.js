@@ -0,0 +1,205 @@
+"use strict";
+
+/**
+ * Templates to format AMO metadata (see amo-metadata.js), as used by
+ * amoid-to-metadata, or other objects such as the records of filter --ndjson.
+ *
+ * A template is text with placeholders of the form %field%, where field is a
+ * dot-separated path in the add-on object, optionally followed by formats
+ * separated by "|":
+ *
+ *   %current_version.version%
+ *   %name.en-US|default:(no name)%
+ *   %average_daily_users|number%
+ *   %last_updated|date%
+ *
+ * Formats:
+ * - default:TEXT  TEXT if the value is missing (undefined, null or "").
+ * - number        Number with thousands separators, e.g. 12,345.
+ * - date          Date as YYYY-MM-DD, e.g. from "2024-02-18T12:34:56Z".
+ * - json          Value as JSON.
+ */
+
+const { toCSVRow } = require("./csv");
+
+// Output formats of createOutputFormatter.
+const OUTPUT_FORMATS = ["text", "csv", "ndjson"];
+
+const FORMATS = {
+    default(value, text) {
+        return value === undefined || value === null || value === "" ? text : value;
+    },
+    number(value) {
+        let num = Number(value);
+        if (value === undefined || value === null || value === "" || !Number.isFinite(num)) {
+            return value;
+        }
+        return num.toLocaleString("en-US");
+    },
+    date(value) {
+        let date = new Date(value);
+        if (value === undefined || value === null || isNaN(date)) {
+            return value;
+        }
+        return date.toISOString().slice(0, 10);
+    },
+    json(value) {
+        return JSON.stringify(value);
+    },
+};
+
+/**
+ * Parses a field, i.e. the text between the % of a placeholder (the % may be
+ * included). Returns an object with:
+ * - name: the field as given (without %).
+ * - key: the top-level key in the add-on object.
+ * - getValue(addon): the formatted value, or undefined if missing.
+ */
+function parseField(spec) {
+    let name = spec.replace(/^%(.*)%$/, "$1");
+    let [pathStr, ...formatSpecs] = name.split("|");
+    if (!pathStr) {
+        throw new Error(`Missing key in template field: ${spec}`);
+    }
+    let keys = pathStr.split(".");
+    let formatters = formatSpecs.map(formatSpec => {
+        let separatorIndex = formatSpec.indexOf(":");
+        let formatName = separatorIndex === -1 ?
+            formatSpec : formatSpec.slice(0, separatorIndex);
+        let formatArg = separatorIndex === -1 ? "" : formatSpec.slice(separatorIndex + 1);
+        if (!Object.prototype.hasOwnProperty.call(FORMATS, formatName)) {
+            throw new Error(`Unknown format "${formatName}" in template field: ${spec}
+Choose one of: ${Object.keys(FORMATS).join(", ")}`);
+        }
+        return value => FORMATS[formatName](value, formatArg);
+    });
+    return {
+        name,
+        key: keys[0],
+        getValue(addon) {
+            let value = addon;
+            for (let key of keys) {
+                if (typeof value !== "object" || value === null ||
+                    !Object.prototype.hasOwnProperty.call(value, key)) {
+                    value = undefined;
+                    break;
+                }
+                value = value[key];
+            }
+            for (let formatter of formatters) {
+                value = formatter(value);
+            }
+            return value;
+        },
+    };
+}
+
+// Converts a value from getValue to text.
+function toText(value) {
+    if (typeof value === "object" && value !== null) {
+        return JSON.stringify(value);
+    }
+    return String(value);
+}
+
+/**
+ * Parses a template string. Returns an object with:
+ * - fields: the fields in the template, see parseField.
+ * - render(addon): the template with the placeholders filled in.
+ */
+function parseTemplate(template) {
+    const R_PLACEHOLDER = /%([^%]+)%/g;
+    let fieldsByName = new Map();
+    for (let [, name] of template.matchAll(R_PLACEHOLDER)) {
+        if (!fieldsByName.has(name)) {
+            fieldsByName.set(name, parseField(name));
+        }
+    }
+    return {
+        fields: Array.from(fieldsByName.values()),
+        render(addon) {
+            return template.replace(R_PLACEHOLDER, (_, name) => {
+                return toText(fieldsByName.get(name).getValue(addon));
+            });
+        },
+    };
+}
+
+/**
+ * Creates a formatter for the output of commands such as amoid-to-metadata.
+ *
+ * @param {string[]} args - Command line arguments. With the "text" format,
+ *   the arguments form one template. Otherwise each argument is a field.
+ * @param {string} format - One of OUTPUT_FORMATS.
+ * @param {string} [lineMode] - "prepend" or "append" to include the input
+ *   line before or after the output.
+ * @returns {object} An object with "fields" (see parseField), "header" (the
+ *   first line of output, if any) and format(obj, line), which returns the
+ *   output line for the object (e.g. an add-on) and the input line.
+ */
+function createOutputFormatter(args, format, lineMode) {
+    if (format === "text") {
+        const template = parseTemplate(args.join(" "));
+        return {
+            fields: template.fields,
+            format(obj, line) {
+                let output = template.render(obj);
+                if (lineMode === "prepend") {
+                    return `${output}\t${line}`;
+                }
+                if (lineMode === "append") {
+                    return `${line}\t${output}`;
+                }
+                return output;
+            },
+        };
+    }
+    const fields = args.map(parseField);
+    if (format === "csv") {
+        const names = fields.map(field => field.name);
+        return {
+            fields,
+            header: toCSVRow(lineMode === "prepend" ? ["line", ...names] :
+                lineMode === "append" ? [...names, "line"] : names),
+            format(obj, line) {
+                let values = fields.map(field => {
+                    let value = field.getValue(obj);
+                    return value === undefined || value === null ? "" : toText(value);
+                });
+                if (lineMode === "prepend") {
+                    values.unshift(line);
+                } else if (lineMode === "append") {
+                    values.push(line);
+                }
+                return toCSVRow(values);
+            },
+        };
+    }
+    if (format === "ndjson") {
+        return {
+            fields,
+            format(obj, line) {
+                let result = {};
+                if (lineMode === "prepend") {
+                    result.line = line;
+                }
+                for (let field of fields) {
+                    let value = field.getValue(obj);
+                    result[field.name] = value === undefined ? null : value;
+                }
+                if (lineMode === "append") {
+                    result.line = line;
+                }
+                return JSON.stringify(result);
+            },
+        };
+    }
+    throw new Error(`Unsupported format: ${format}
+Choose one of: ${OUTPUT_FORMATS.join(", ")}`);
+}
+
+exports.OUTPUT_FORMATS = OUTPUT_FORMATS;
+exports.createOutputFormatter = createOutputFormatter;
+exports.parseField = parseField;
+exports.parseTemplate = parseTemplate;
+exports.toText = toText;
@@ -0,0 +1,60 @@
+"use strict";
+
+/**
+ * Records of the --ndjson mode of filter: one JSON object per line, with
+ * - path: the input line, i.e. a path in an extension (or an AMO ID, etc.).
+ * - extdir: the extension directory of the path (null if unknown).
+ * - annotations: an object with information added by filters, such as
+ *   userCount (filter-user-count), matchedApis (filter-api-usage) and
+ *   warnings.
+ *
+ * Example:
+ * {"path":"/x/123/abc/bg.js","extdir":"/x/123/abc","annotations":{"userCount":5}}
+ */
+
+// Parses a line of input. Lines that are not JSON objects are paths, so that
+// the first filter in a pipeline can read a plain list of paths.
+function parseRecord(line) {
+    if (!line.startsWith("{")) {
+        return { path: line, extdir: null, annotations: {} };
+    }
+    let record;
+    try {
+        record = JSON.parse(line);
+    } catch (e) {
+        throw new Error(`Invalid NDJSON record: ${e.message}\n${line}`);
+    }
+    if (typeof record.path !== "string") {
+        throw new Error(`Invalid NDJSON record, "path" must be a string:\n${line}`);
+    }
+    let annotations = record.annotations;
+    if (typeof annotations !== "object" || annotations === null) {
+        annotations = {};
+    }
+    return {
+        path: record.path,
+        extdir: typeof record.extdir === "string" ? record.extdir : null,
+        annotations,
+    };
+}
+
+function formatRecord(record) {
+    return JSON.stringify({
+        path: record.path,
+        extdir: record.extdir,
+        annotations: record.annotations,
+    });
+}
+
+// Returns an object with the annotations and the path and extdir of the
+// record, e.g. to look up fields with parseField (metadata-template.js).
+function flattenRecord(record) {
+    return Object.assign({}, record.annotations, {
+        path: record.path,
+        extdir: record.extdir,
+    });
+}
+
+exports.flattenRecord = flattenRecord;
+exports.formatRecord = formatRecord;
+exports.parseRecord = parseRecord;
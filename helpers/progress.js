@@ -0,0 +1,138 @@
+"use strict";
+
+/**
+ * Reports the progress of a long run on a single stderr line, e.g.:
+ * 1200 lines read, 340 extensions, 12 matches, 85.2 lines/s, 45%, ETA 3m12s
+ *
+ * Usage:
+ * const progress = new Progress({ totalBytes: fs.fstatSync(0).size });
+ * progress.start();
+ * progress.addInput(); // For each line read.
+ * progress.addResult(line, extdir, matched); // For each processed line.
+ * progress.stop();
+ */
+
+// Returns the duration in seconds as e.g. "45s", "3m12s" or "2h05m".
+function formatDuration(seconds) {
+    seconds = Math.round(seconds);
+    if (seconds < 60) {
+        return `${seconds}s`;
+    }
+    let minutes = Math.floor(seconds / 60);
+    if (minutes < 60) {
+        return `${minutes}m${String(seconds % 60).padStart(2, "0")}s`;
+    }
+    return `${Math.floor(minutes / 60)}h${String(minutes % 60).padStart(2, "0")}m`;
+}
+
+class Progress {
+    // stream: where the progress is written, by default stderr. On a TTY, the
+    // line is rewritten in place, otherwise a new line is written each time.
+    // totalBytes: the size of the input, if known (e.g. stdin is a file), to
+    // show the percentage and estimated time of arrival.
+    constructor({ stream = process.stderr, totalBytes = 0, now = Date.now } = {}) {
+        this.stream = stream;
+        this.totalBytes = totalBytes;
+        this.now = now;
+        this.startTime = now();
+        this.linesRead = 0;
+        this.linesDone = 0;
+        this.linesSkipped = 0;
+        this.matches = 0;
+        this.extdirs = new Set();
+        // Bytes of the lines that were processed or skipped.
+        this.bytesDone = 0;
+        this.bytesSkipped = 0;
+        this.timer = null;
+        this.isShown = false;
+    }
+
+    addInput() {
+        ++this.linesRead;
+    }
+
+    // Counts a line that is not processed, e.g. already done in a previous
+    // run (see --checkpoint).
+    addSkipped(line) {
+        ++this.linesRead;
+        ++this.linesSkipped;
+        this.bytesDone += Buffer.byteLength(line) + 1;
+        this.bytesSkipped += Buffer.byteLength(line) + 1;
+    }
+
+    addResult(line, extdir, matched) {
+        ++this.linesDone;
+        this.bytesDone += Buffer.byteLength(line) + 1;
+        if (extdir) {
+            this.extdirs.add(extdir);
+        }
+        if (matched) {
+            ++this.matches;
+        }
+    }
+
+    format() {
+        let seconds = (this.now() - this.startTime) / 1000;
+        let parts = [
+            `${this.linesRead} lines read`,
+            `${this.extdirs.size} extensions`,
+            `${this.matches} matches`,
+        ];
+        if (this.linesSkipped) {
+            parts.push(`${this.linesSkipped} skipped`);
+        }
+        let linesPerSecond = seconds > 0 ? this.linesDone / seconds : 0;
+        parts.push(`${linesPerSecond.toFixed(1)} lines/s`);
+        if (this.totalBytes) {
+            let fraction = Math.min(this.bytesDone / this.totalBytes, 1);
+            parts.push(`${Math.floor(fraction * 100)}%`);
+            // The rate excludes skipped lines, which take no time.
+            let bytesPerSecond = seconds > 0 ? (this.bytesDone - this.bytesSkipped) / seconds : 0;
+            if (bytesPerSecond > 0) {
+                let remainingBytes = Math.max(this.totalBytes - this.bytesDone, 0);
+                parts.push(`ETA ${formatDuration(remainingBytes / bytesPerSecond)}`);
+            }
+        }
+        return parts.join(", ");
+    }
+
+    show() {
+        if (this.stream.isTTY) {
+            this.stream.write(`\r\x1b[K${this.format()}`);
+            this.isShown = true;
+        } else {
+            this.stream.write(`${this.format()}\n`);
+        }
+    }
+
+    // Removes the progress line from a TTY, e.g. before writing a warning.
+    // The line is shown again by the next update.
+    clear() {
+        if (this.isShown) {
+            this.stream.write("\r\x1b[K");
+            this.isShown = false;
+        }
+    }
+
+    // Shows the progress every interval (milliseconds), by default every
+    // second on a TTY and every 10 seconds otherwise.
+    start(interval = this.stream.isTTY ? 1000 : 10000) {
+        this.timer = setInterval(() => this.show(), interval);
+        this.timer.unref();
+    }
+
+    // Shows the final progress.
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.show();
+        if (this.isShown) {
+            this.stream.write("\n");
+            this.isShown = false;
+        }
+    }
+}
+
+Progress.formatDuration = formatDuration;
+
+module.exports = Progress;
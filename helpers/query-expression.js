@@ -0,0 +1,167 @@
+"use strict";
+
+/**
+ * Parses boolean expressions of queries, with AND, OR, NOT and parentheses.
+ * Queries without operator in between are combined with OR, so that a list of
+ * queries matches if any of them matches. NOT has the highest precedence,
+ * followed by AND, followed by OR.
+ *
+ * Example:
+ * const expr = parseQueryExpression("a (b OR c) AND NOT d");
+ * // Equivalent to: a OR ((b OR c) AND (NOT d))
+ * getQueries(expr); // ["a", "b", "c", "d"]
+ * evaluateQueryExpression(expr, new Set(["b"])); // true
+ * expandQueries(expr, q => q === "a" ? ["a1", "a2"] : [q]); // (a1 OR a2) OR ...
+ */
+
+const KEYWORDS = new Set(["AND", "OR", "NOT"]);
+
+function count(str, char) {
+    return str.split(char).length - 1;
+}
+
+function tokenize(expression) {
+    let tokens = [];
+    for (let word of expression.split(/\s+/)) {
+        while (word.startsWith("(")) {
+            tokens.push("(");
+            word = word.slice(1);
+        }
+        // A query may contain parentheses (e.g. a RegExp group such as
+        // "tabs.(create|update)"), so only treat unbalanced ones as grouping.
+        let closing = 0;
+        while (word.endsWith(")") && count(word, ")") > count(word, "(")) {
+            word = word.slice(0, -1);
+            ++closing;
+        }
+        if (word) {
+            tokens.push(word);
+        }
+        for (let i = 0; i < closing; ++i) {
+            tokens.push(")");
+        }
+    }
+    return tokens;
+}
+
+function parseQueryExpression(expression) {
+    let tokens = tokenize(expression);
+    let pos = 0;
+
+    function fail(message) {
+        throw new Error(`Invalid query expression "${expression}": ${message}`);
+    }
+    function startsOperand(token) {
+        return token !== undefined && token !== ")" &&
+            (token === "NOT" || !KEYWORDS.has(token));
+    }
+    function parseOr() {
+        let operands = [parseAnd()];
+        while (tokens[pos] === "OR" || startsOperand(tokens[pos])) {
+            if (tokens[pos] === "OR") {
+                ++pos;
+            }
+            operands.push(parseAnd());
+        }
+        return operands.length === 1 ? operands[0] : { type: "or", operands };
+    }
+    function parseAnd() {
+        let operands = [parseNot()];
+        while (tokens[pos] === "AND") {
+            ++pos;
+            operands.push(parseNot());
+        }
+        return operands.length === 1 ? operands[0] : { type: "and", operands };
+    }
+    function parseNot() {
+        if (tokens[pos] === "NOT") {
+            ++pos;
+            return { type: "not", operand: parseNot() };
+        }
+        return parsePrimary();
+    }
+    function parsePrimary() {
+        let token = tokens[pos++];
+        if (token === undefined) {
+            fail("Unexpected end of expression");
+        }
+        if (token === "(") {
+            let expr = parseOr();
+            if (tokens[pos++] !== ")") {
+                fail("Missing )");
+            }
+            return expr;
+        }
+        if (token === ")" || KEYWORDS.has(token)) {
+            fail(`Unexpected ${token}`);
+        }
+        return { type: "query", query: token };
+    }
+
+    let expr = parseOr();
+    if (pos < tokens.length) {
+        fail(`Unexpected ${tokens[pos]}`);
+    }
+    return expr;
+}
+
+// Returns the list of unique queries in the expression.
+function getQueries(expr) {
+    let queries = new Set();
+    (function collect(e) {
+        if (e.type === "query") {
+            queries.add(e.query);
+        } else if (e.type === "not") {
+            collect(e.operand);
+        } else {
+            e.operands.forEach(collect);
+        }
+    })(expr);
+    return Array.from(queries);
+}
+
+// Returns a copy of the expression where each query is replaced with the
+// queries returned by expand(query), combined with OR.
+function expandQueries(expr, expand) {
+    switch (expr.type) {
+        case "query": {
+            let queries = expand(expr.query);
+            if (queries.length === 1) {
+                return { type: "query", query: queries[0] };
+            }
+            return {
+                type: "or",
+                operands: queries.map(query => ({ type: "query", query })),
+            };
+        }
+        case "not":
+            return { type: "not", operand: expandQueries(expr.operand, expand) };
+        case "and":
+        case "or":
+            return {
+                type: expr.type,
+                operands: expr.operands.map(e => expandQueries(e, expand)),
+            };
+    }
+    throw new Error(`Unexpected expression type: ${expr.type}`);
+}
+
+// Returns whether the expression is true, given the set of matched queries.
+function evaluateQueryExpression(expr, matchedQueries) {
+    switch (expr.type) {
+        case "query":
+            return matchedQueries.has(expr.query);
+        case "not":
+            return !evaluateQueryExpression(expr.operand, matchedQueries);
+        case "and":
+            return expr.operands.every(e => evaluateQueryExpression(e, matchedQueries));
+        case "or":
+            return expr.operands.some(e => evaluateQueryExpression(e, matchedQueries));
+    }
+    throw new Error(`Unexpected expression type: ${expr.type}`);
+}
+
+exports.parseQueryExpression = parseQueryExpression;
+exports.expandQueries = expandQueries;
+exports.getQueries = getQueries;
+exports.evaluateQueryExpression = evaluateQueryExpression;
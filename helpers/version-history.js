@@ -0,0 +1,242 @@
+"use strict";
+
+/**
+ * Compares consecutive versions of add-ons: which permissions, host
+ * permissions, manifest_version, content_security_policy and (optionally)
+ * used APIs changed between versions, e.g. to spot permission escalations.
+ *
+ * Usage:
+ * const history = new VersionHistory();
+ * history.addVersion("123", { extdir: "/x/123/aaa", manifest: manifestV1 });
+ * history.addVersion("123", { extdir: "/x/123/bbb", manifest: manifestV2 });
+ * console.log(history.format("text"));
+ */
+
+const { isHostPermission } = require("./match-pattern");
+
+const FORMATS = ["text", "json"];
+
+// Keys of the changes, i.e. the compared values.
+const KEYS = [
+    "permissions",
+    "host_permissions",
+    "optional_permissions",
+    "optional_host_permissions",
+    "manifest_version",
+    "content_security_policy",
+    "apis",
+];
+
+// Keys of the changes whose values are lists. The permissions are split in
+// API permissions and host permissions, also in Manifest Version 2.
+const LIST_KEYS = [
+    "permissions",
+    "host_permissions",
+    "optional_permissions",
+    "optional_host_permissions",
+    "apis",
+];
+
+// Compares the parts of a version, e.g. "1a2" or "0pre". A part consists of
+// a number, a string, a number and the rest, where a missing string sorts
+// after any string (so that 1.0a1 < 1.0). Loosely based on Firefox's
+// toolkit version format.
+function compareVersionParts(a, b) {
+    let [, numA, strA, num2A, restA] = /^(\d*)(\D*)(\d*)(.*)$/.exec(a);
+    let [, numB, strB, num2B, restB] = /^(\d*)(\D*)(\d*)(.*)$/.exec(b);
+    let compareStrings = (x, y) => {
+        if (x === y) {
+            return 0;
+        }
+        if (!x || !y) {
+            return x ? -1 : 1;
+        }
+        return x < y ? -1 : 1;
+    };
+    return (parseInt(numA) || 0) - (parseInt(numB) || 0) ||
+        compareStrings(strA, strB) ||
+        (parseInt(num2A) || 0) - (parseInt(num2B) || 0) ||
+        compareStrings(restA, restB);
+}
+
+// Compares two version strings, e.g. "1.10" > "1.9" and "2.0b1" < "2.0".
+function compareVersions(a, b) {
+    let partsA = String(a).split(".");
+    let partsB = String(b).split(".");
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); ++i) {
+        let result = compareVersionParts(partsA[i] || "0", partsB[i] || "0");
+        if (result) {
+            return result < 0 ? -1 : 1;
+        }
+    }
+    return 0;
+}
+
+function getStrings(manifest, key) {
+    let values = manifest[key];
+    return Array.isArray(values) ? values.filter(v => typeof v === "string") : [];
+}
+
+// Returns the values of the manifest that are compared between versions.
+function getVersionSnapshot(manifest) {
+    let permissions = getStrings(manifest, "permissions");
+    let optionalPermissions = getStrings(manifest, "optional_permissions");
+    let csp = manifest.content_security_policy;
+    return {
+        version: typeof manifest.version === "string" ? manifest.version : "",
+        manifest_version: manifest.manifest_version === undefined ?
+            null : manifest.manifest_version,
+        permissions: permissions.filter(p => !isHostPermission(p)),
+        host_permissions: permissions.filter(isHostPermission).concat(
+            getStrings(manifest, "host_permissions")),
+        optional_permissions: optionalPermissions.filter(p => !isHostPermission(p)),
+        optional_host_permissions: optionalPermissions.filter(isHostPermission).concat(
+            getStrings(manifest, "optional_host_permissions")),
+        content_security_policy: csp === undefined ? null : csp,
+    };
+}
+
+// Returns an object with the changes from the older to the newer snapshot:
+// for lists, { added, removed }, for other values, { from, to }. Only keys
+// that changed are included. APIs are only compared if both have "apis".
+function diffSnapshots(older, newer, keys) {
+    let changes = {};
+    for (let key of LIST_KEYS) {
+        if (!keys.includes(key) || !older[key] || !newer[key]) {
+            continue;
+        }
+        let oldValues = new Set(older[key]);
+        let newValues = new Set(newer[key]);
+        let added = Array.from(newValues).filter(v => !oldValues.has(v));
+        let removed = Array.from(oldValues).filter(v => !newValues.has(v));
+        if (added.length || removed.length) {
+            changes[key] = { added, removed };
+        }
+    }
+    for (let key of ["manifest_version", "content_security_policy"]) {
+        if (keys.includes(key) && JSON.stringify(older[key]) !== JSON.stringify(newer[key])) {
+            changes[key] = { from: older[key], to: newer[key] };
+        }
+    }
+    return changes;
+}
+
+// Whether the changes add (required) permissions or host permissions.
+function isEscalation(changes) {
+    return ["permissions", "host_permissions"].some(key => {
+        return changes[key] && changes[key].added.length > 0;
+    });
+}
+
+class VersionHistory {
+    // keys: the values to compare (default: all KEYS).
+    // escalationsOnly: only report changes that add permissions or host
+    // permissions.
+    constructor({ keys = KEYS, escalationsOnly = false } = {}) {
+        this.keys = keys;
+        this.escalationsOnly = escalationsOnly;
+        // Map from add-on (e.g. AMO ID or extension ID) to its versions.
+        this.addons = new Map();
+    }
+
+    /**
+     * @param {string} addon - Identifies the add-on, e.g. the AMO ID.
+     * @param {object} options
+     * @param {string} options.extdir - The extension directory of the version.
+     * @param {object} options.manifest - The parsed manifest.json.
+     * @param {number} [options.versionId] - Orders the versions, if known
+     *   (e.g. from the directory layout). Otherwise the manifest version is
+     *   used.
+     * @param {string[]} [options.apis] - The used APIs, to compare APIs.
+     */
+    addVersion(addon, { extdir, manifest, versionId, apis }) {
+        if (!this.addons.has(addon)) {
+            this.addons.set(addon, []);
+        }
+        let snapshot = getVersionSnapshot(manifest);
+        if (apis) {
+            snapshot.apis = apis;
+        }
+        this.addons.get(addon).push({ extdir, versionId, snapshot });
+    }
+
+    // Returns the changes between consecutive versions, as a JSON-serializable
+    // array with an object for each add-on with changes.
+    getResults() {
+        let results = [];
+        for (let [addon, versions] of this.addons) {
+            if (versions.length < 2) {
+                continue;
+            }
+            versions.sort((a, b) => {
+                if (a.versionId !== undefined && b.versionId !== undefined &&
+                    a.versionId !== b.versionId) {
+                    return a.versionId - b.versionId;
+                }
+                return compareVersions(a.snapshot.version, b.snapshot.version) ||
+                    (a.extdir < b.extdir ? -1 : a.extdir > b.extdir ? 1 : 0);
+            });
+            let diffs = [];
+            for (let i = 1; i < versions.length; ++i) {
+                let [older, newer] = [versions[i - 1], versions[i]];
+                let changes = diffSnapshots(older.snapshot, newer.snapshot, this.keys);
+                if (!Object.keys(changes).length ||
+                    this.escalationsOnly && !isEscalation(changes)) {
+                    continue;
+                }
+                diffs.push({
+                    from: { version: older.snapshot.version, extdir: older.extdir },
+                    to: { version: newer.snapshot.version, extdir: newer.extdir },
+                    changes,
+                });
+            }
+            if (diffs.length) {
+                results.push({ addon, versions: versions.length, diffs });
+            }
+        }
+        return results;
+    }
+
+    // Returns the changes as a string, format is one of FORMATS.
+    format(format) {
+        let results = this.getResults();
+        if (format === "json") {
+            return JSON.stringify(results, null, 2);
+        }
+        if (format === "text") {
+            return this._formatText(results);
+        }
+        throw new Error(`Unsupported format: ${format}
+Choose one of: ${FORMATS.join(", ")}`);
+    }
+
+    _formatText(results) {
+        let lines = [`Add-ons with changes: ${results.length}`];
+        let toText = value => value === null ? "(none)" : JSON.stringify(value);
+        for (let { addon, versions, diffs } of results) {
+            lines.push("", `${addon} (${versions} versions)`);
+            for (let { from, to, changes } of diffs) {
+                lines.push(`  ${from.version} -> ${to.version} (${from.extdir} -> ${to.extdir})`);
+                for (let [key, change] of Object.entries(changes)) {
+                    if (change.added) {
+                        if (change.added.length) {
+                            lines.push(`    + ${key}: ${change.added.join(" ")}`);
+                        }
+                        if (change.removed.length) {
+                            lines.push(`    - ${key}: ${change.removed.join(" ")}`);
+                        }
+                    } else {
+                        lines.push(`    ${key}: ${toText(change.from)} -> ${toText(change.to)}`);
+                    }
+                }
+            }
+        }
+        return lines.join("\n");
+    }
+}
+
+VersionHistory.FORMATS = FORMATS;
+VersionHistory.KEYS = KEYS;
+VersionHistory.compareVersions = compareVersions;
+
+module.exports = VersionHistory;
@@ -21,13 +21,24 @@ const RE_DOT = String.raw`\s*\??\.\s*`;
 const RE_CHROME_OR_BROWSER_DOT = String.raw`(?:chrome|browser)${RE_DOT}`;
 const RE_VAR_CHAR_START = String.raw`[A-Za-z_$]`;
 const RE_VAR_CHAR_END = String.raw`${RE_VAR_CHAR_START}[0-9]*`;
-const RE_ALIAS_DOT = String.raw`${RE_VAR_CHAR_END}${RE_DOT}`;
 const RE_RHS_AFTER = String.raw`\s*(?:[),;\]{}:]|\|\||\?\?|$|\n(?=\s*${RE_VAR_CHAR_START}))`;
 //                                  ^ &/?| not included
 //  also allow || ?? for cases like "= storage.sync || storage.local"
 //  \n can be matched to permit ASI. To avoid too many false matches, we require
 //  \n to not be in the middle of an expression (not a\n.b, yes a\nb).
 
+// Returns the RegExp for regexString (and flags) from sharedRegExps, compiling
+// and adding it if needed.
+function getSharedRegExp(regexString, sharedRegExps, flags = "") {
+  const key = `/${regexString}/${flags}`;
+  let re = sharedRegExps.get(key);
+  if (!re) {
+    re = new RegExp(regexString, flags);
+    sharedRegExps.set(key, re);
+  }
+  return re;
+}
+
 /**
  * @param {string} query - The API namespace + name to search for,
  *   e.g. "tabs.create".
@@ -40,27 +51,26 @@ const RE_RHS_AFTER = String.raw`\s*(?:[),;\]{}:]|\|\||\?\?|$|\n(?=\s*${RE_VAR_CH
  */
 function compileQuery(query, sharedRegExps) {
   function newRegExp(regexString) {
-    let re = sharedRegExps.get(regexString);
-    if (!re) {
-      re = new RegExp(regexString);
-      sharedRegExps.set(regexString, re);
-    }
-    return re;
+    return getSharedRegExp(regexString, sharedRegExps);
   }
+  // The first capturing group of every pattern is the matched API text, used
+  // by QueryMatcher to report the location of the match.
   function re_any(pattern) {
     // Matches the free occurrence of a JS symbol identified by pattern.
-    return newRegExp(String.raw`${RE_BEFORE}(?:${pattern})${RE_AFTER}`);
+    return newRegExp(String.raw`${RE_BEFORE}(${pattern})${RE_AFTER}`);
   }
   function re_dot(pattern) {
     // Matches the occurrence of a JS symbol that is a property access.
-    return newRegExp(String.raw`${RE_ALIAS_DOT}(?:${pattern})${RE_AFTER}`);
+    return newRegExp(
+      String.raw`${RE_VAR_CHAR_END}(${RE_DOT}(?:${pattern}))${RE_AFTER}`
+    );
   }
   function re_rhs(pattern) {
     // Matches the occurrence of a JS symbol that is a right-hand-side usage,
     // e.g. as the value of an assignment. In particular, excludes
     // function invocations or dereference.
     // re_rhs true implies re_any true; re_any false implies re_rhs false.
-    return newRegExp(String.raw`${RE_BEFORE}(?:${pattern})${RE_RHS_AFTER}`);
+    return newRegExp(String.raw`${RE_BEFORE}(${pattern})${RE_RHS_AFTER}`);
   }
 
   // Note: no special regexp escaping. Expected alphanum, but if the query
@@ -114,6 +124,80 @@ function compileQuery(query, sharedRegExps) {
   return compiledPatterns;
 }
 
+// Cache of functions that test whether an API path (e.g. "chrome.tabs.create")
+// from we-api-finder/ast.js matches a query.
+const apiPathTesters = new Map();
+
+function getApiPathTester(query) {
+  let tester = apiPathTesters.get(query);
+  if (!tester) {
+    // Like compileQuery, the parts of the query are not escaped.
+    let pattern = query.split(".").map(p => `(?:${p})`).join(String.raw`\.`);
+    if (!query.startsWith("browser.") && !query.startsWith("chrome.")) {
+      pattern = String.raw`(?:chrome|browser)\.${pattern}`;
+    }
+    const regex = new RegExp(`^${pattern}$`);
+    tester = apiPath => regex.test(apiPath);
+    apiPathTesters.set(query, tester);
+  }
+  return tester;
+}
+
+/**
+ * Removes comments from sourceText, using the given regular expression (must
+ * have the "g" flag). If removedRanges is an array, it receives a list of
+ * [offset, length] pairs, where offset is the position in the result where
+ * the removed text (of the given length) used to be.
+ */
+function removeMatches(sourceText, regex, removedRanges) {
+  if (!removedRanges) {
+    return sourceText.replace(regex, "");
+  }
+  let removedLength = 0;
+  return sourceText.replace(regex, (match, offset) => {
+    removedRanges.push([offset - removedLength, match.length]);
+    removedLength += match.length;
+    return "";
+  });
+}
+
+// Returns a function that maps an offset in a text that was derived from
+// removeMatches(originalText, regex, removedRanges) to the offset in the
+// original text.
+function offsetMapper(removedRanges) {
+  return offset => {
+    let originalOffset = offset;
+    for (const [removedOffset, length] of removedRanges) {
+      if (removedOffset > offset) {
+        break;
+      }
+      originalOffset += length;
+    }
+    return originalOffset;
+  };
+}
+
+// Returns the 1-based line and column number of offset in sourceText.
+function getLineAndColumn(sourceText, offset) {
+  let line = 1;
+  let lineStart = 0;
+  for (let i = sourceText.indexOf("\n"); i !== -1 && i < offset;
+       i = sourceText.indexOf("\n", i + 1)) {
+    ++line;
+    lineStart = i + 1;
+  }
+  return { line, column: offset - lineStart + 1 };
+}
+
+// Returns a Map with the subset of queriesAndPatterns for the given queries.
+// Returns queriesAndPatterns itself if queries is not given.
+function selectQueries(queriesAndPatterns, queries) {
+  if (!queries) {
+    return queriesAndPatterns;
+  }
+  return new Map(queries.map(query => [query, queriesAndPatterns.get(query)]));
+}
+
 /***
  * Usage:
  *
@@ -123,14 +207,26 @@ function compileQuery(query, sharedRegExps) {
  * qc.addQuery("storage.sync.get");
  * const qm = qc.newQueryMatcher();
  * qm.addSource(" ... JS source code of extension ... ");
- * qm.addSource(" ... JS source code of extension ... ");
+ * qm.addSource(" ... JS source code of extension ... ", "optional/file.js");
  * qm.findMatches();
  * console.log(qm.getMatchedResults()); // Set with matched queries
+ *
+ * When QueryCompiler is constructed with { withLocations: true }, the matcher
+ * also records the location of the first match of each matched query:
+ * console.log(qm.getMatchLocations()); // Map from query to locations
+ *
+ * When QueryCompiler is constructed with { precise: true }, sources are parsed
+ * to find API usages (see we-api-finder/ast.js) instead of matching regular
+ * expressions. Sources that cannot be parsed fall back to regular expressions.
+ *
+ * Besides API usages, addPattern adds queries for arbitrary regular
+ * expressions, e.g. qc.addPattern("eval", [String.raw`[^\w$.](eval)\s*\(`]).
  */
 class QueryCompiler {
-  constructor() {
+  constructor(options = {}) {
     this.queriesAndPatterns = new Map();
     this.sharedRegExps = new Map();
+    this.options = options;
   }
   addQuery(query) {
     if (this.queriesAndPatterns.has(query)) {
@@ -140,27 +236,98 @@ class QueryCompiler {
     const compiledPatterns = compileQuery(query, this.sharedRegExps);
     this.queriesAndPatterns.set(query, compiledPatterns);
   }
-  newQueryMatcher() {
-    return new QueryMatcher(this.queriesAndPatterns);
+  // Adds a query that matches if any of the regular expressions (strings,
+  // compiled with flags, e.g. "i") matches, instead of an API usage. The first
+  // capturing group of each regular expression is the text reported by
+  // getMatchLocations. Not supported with { precise: true }.
+  addPattern(query, regexStrings, flags = "") {
+    if (this.queriesAndPatterns.has(query)) {
+      console.warn(`Ignoring duplicate query: ${query}`);
+      return;
+    }
+    const compiledPatterns = regexStrings.map(
+      regexString => [getSharedRegExp(regexString, this.sharedRegExps, flags)]
+    );
+    this.queriesAndPatterns.set(query, compiledPatterns);
+  }
+  // If queries (an array) is given, the matcher only matches these queries.
+  newQueryMatcher(queries) {
+    return new QueryMatcher(
+      selectQueries(this.queriesAndPatterns, queries),
+      this.options
+    );
+  }
+  // Returns a string that identifies the compiled query and the options that
+  // affect the result of matching, e.g. to cache results across runs.
+  getQueryKey(query) {
+    const patterns = this.queriesAndPatterns.get(query).map(
+      regExps => regExps.map(re => re.flags ? `/${re.source}/${re.flags}` : re.source)
+    );
+    return JSON.stringify({ patterns, precise: !!this.options.precise });
   }
   destroy() {
   }
 }
 
 class QueryMatcher {
-  constructor(queriesAndPatterns) {
+  constructor(queriesAndPatterns, options = {}) {
     this.queriesAndPatterns = queriesAndPatterns;
     this.matchedQueries = new Set();
     this.sourceTexts = new Set();
+    this.withLocations = !!options.withLocations;
+    this.precise = !!options.precise;
+    // Array of { fileName, usages }, with usages from findApiUsages. Only
+    // populated if precise is true.
+    this.apiUsages = [];
+    // Map from query to an array of locations, one for each RegExp in the
+    // matched pattern. Only populated if withLocations is true.
+    this.matchLocations = new Map();
+    // Map from source text to { fileName, originalText, toOriginalOffset }.
+    this.sourceInfos = new Map();
   }
-  addSource(sourceText) {
+  addSource(sourceText, fileName) {
+    if (this.precise) {
+      // Loaded on demand, to not load the parser when it is not needed.
+      const { findApiUsages } = require("./we-api-finder/ast");
+      const usages = findApiUsages(sourceText);
+      if (usages) {
+        this.apiUsages.push({ fileName, usages });
+        return;
+      }
+      // Could not parse sourceText, fall back to regular expressions.
+    }
+    const removedLineComments = this.withLocations ? [] : null;
+    const removedBlockComments = this.withLocations ? [] : null;
     // NOTE: comment stripping may fail, when // or /* */ is in a string, etc.
-    const sourceTextWithoutComments =
-      sourceText
-      .replace(/(?<!:)\/\/.*/g, "") // Single-line comments, excluding URLs.
-      .replace(/\/\*.*?\*\//sg, ""); // Multi-line comments
+    const sourceTextWithoutComments = removeMatches(
+      removeMatches(
+        sourceText,
+        /(?<!:)\/\/.*/g, // Single-line comments, excluding URLs.
+        removedLineComments
+      ),
+      /\/\*.*?\*\//sg, // Multi-line comments
+      removedBlockComments
+    );
     this.sourceTexts.add(sourceText);
     this.sourceTexts.add(sourceTextWithoutComments);
+    if (this.withLocations) {
+      if (!this.sourceInfos.has(sourceText)) {
+        this.sourceInfos.set(sourceText, {
+          fileName,
+          originalText: sourceText,
+          toOriginalOffset: offset => offset,
+        });
+      }
+      if (!this.sourceInfos.has(sourceTextWithoutComments)) {
+        const mapLineComments = offsetMapper(removedLineComments);
+        const mapBlockComments = offsetMapper(removedBlockComments);
+        this.sourceInfos.set(sourceTextWithoutComments, {
+          fileName,
+          originalText: sourceText,
+          toOriginalOffset: offset => mapLineComments(mapBlockComments(offset)),
+        });
+      }
+    }
   }
   // Note: we-api-finder/async.js exports an identical interface, except with
   // an async findMatches method.
@@ -182,16 +349,66 @@ class QueryMatcher {
         // Already found in a previous call to findMatches.
         continue;
       }
-      if (compiledPatterns.some(ps => ps.every(p => testMatch(p)))) {
+      if (this.precise) {
+        const locations = this._findPreciseMatch(query);
+        if (locations) {
+          this.matchedQueries.add(query);
+          if (this.withLocations) {
+            this.matchLocations.set(query, locations);
+          }
+          continue;
+        }
+      }
+      const matchedPatterns = compiledPatterns.find(ps => ps.every(p => testMatch(p)));
+      if (matchedPatterns) {
         this.matchedQueries.add(query);
+        if (this.withLocations) {
+          this.matchLocations.set(query, matchedPatterns.map(p => this._findLocation(p)));
+        }
       }
     }
   }
+  _findPreciseMatch(query) {
+    const testApiPath = getApiPathTester(query);
+    for (const { fileName, usages } of this.apiUsages) {
+      for (const [apiPath, locations] of usages) {
+        if (testApiPath(apiPath)) {
+          return locations.map(loc => Object.assign({ fileName }, loc));
+        }
+      }
+    }
+    return null;
+  }
+  _findLocation(regex) {
+    for (const [sourceText, sourceInfo] of this.sourceInfos) {
+      const match = regex.exec(sourceText);
+      if (match) {
+        // match[0] starts with the part before the API; match[1] is the API.
+        const offset = sourceInfo.toOriginalOffset(
+          match.index + match[0].indexOf(match[1])
+        );
+        return Object.assign(
+          { fileName: sourceInfo.fileName },
+          getLineAndColumn(sourceInfo.originalText, offset),
+          { text: match[1] }
+        );
+      }
+    }
+    // Not reachable, unless the RegExp is not from compileQuery.
+    return null;
+  }
   getMatchedResults() {
     // TODO: Consider using some order as this.queriesAndPatterns.keys().
     return this.matchedQueries;
   }
+  // Returns a Map from query to an array of { fileName, line, column, text }.
+  // For literal matches, the array has one element. For aliases, the array
+  // has one element per part, e.g. "chrome.storage" and ".local.get".
+  getMatchLocations() {
+    return this.matchLocations;
+  }
 }
 
 exports.QueryCompiler = QueryCompiler;
 exports.QueryMatcher = QueryMatcher; // for use by we-api-finder/worker.js
+exports.selectQueries = selectQueries; // for use by we-api-finder/worker.js
@@ -0,0 +1,276 @@
+"use strict";
+
+/**
+ * Finds extension API usage by parsing source text into an AST, for use by
+ * QueryMatcher in precise mode. Unlike the patterns from compileQuery, this
+ * confirms that properties are accessed on a (possibly aliased) reference to
+ * the chrome or browser namespace, e.g.:
+ *
+ * - chrome.tabs.create / browser["tabs"].create / window.browser.tabs.create
+ * - const s = chrome.storage; s.local.get
+ * - const {tabs} = browser; tabs.create
+ * - let api = typeof browser !== "undefined" ? browser : chrome; api.tabs.create
+ *
+ * Variables are tracked by name, without considering their scope.
+ */
+
+const acorn = require("acorn");
+
+const ROOTS = new Set(["chrome", "browser"]);
+const GLOBAL_OBJECTS = new Set(["window", "self", "globalThis"]);
+
+// Maximum number of passes to resolve aliases that are defined in terms of
+// aliases that appear later in the source.
+const MAX_ALIAS_PASSES = 5;
+
+function parse(sourceText) {
+  const options = {
+    ecmaVersion: "latest",
+    allowHashBang: true,
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    locations: true,
+  };
+  try {
+    return acorn.parse(sourceText, { ...options, sourceType: "script" });
+  } catch (e) {
+    // Maybe a module (e.g. import/export statements).
+  }
+  try {
+    return acorn.parse(sourceText, { ...options, sourceType: "module" });
+  } catch (e) {
+    return null;
+  }
+}
+
+// Calls callback for every node in the AST. Iterative instead of recursive,
+// because minified code can be nested very deeply.
+function walk(ast, callback) {
+  const stack = [ast];
+  while (stack.length) {
+    const node = stack.pop();
+    callback(node);
+    for (const key of Object.keys(node)) {
+      const value = node[key];
+      if (Array.isArray(value)) {
+        for (let i = value.length - 1; i >= 0; --i) {
+          if (value[i] && typeof value[i].type === "string") {
+            stack.push(value[i]);
+          }
+        }
+      } else if (value && typeof value.type === "string" && key !== "loc") {
+        stack.push(value);
+      }
+    }
+  }
+}
+
+// Returns the string value of a static property key, or null.
+function getStaticKey(node, computed) {
+  if (!computed) {
+    return node.type === "Identifier" ? node.name : null;
+  }
+  if (node.type === "Literal" && typeof node.value === "string") {
+    return node.value;
+  }
+  if (node.type === "TemplateLiteral" && !node.expressions.length) {
+    return node.quasis[0].value.cooked;
+  }
+  return null;
+}
+
+// Returns a string to identify non-computed member expressions such as
+// "this.api" or "self.x.y" as an alias, or null.
+function getAliasKey(node) {
+  if (node.type === "Identifier") {
+    return node.name;
+  }
+  if (node.type === "ThisExpression") {
+    return "this";
+  }
+  if (node.type === "MemberExpression" && !node.computed) {
+    const objectKey = getAliasKey(node.object);
+    if (objectKey !== null && node.property.type === "Identifier") {
+      return `${objectKey}.${node.property.name}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parses sourceText and returns all referenced API paths, or null if the
+ * source text cannot be parsed.
+ *
+ * @returns {Map<string,object[]>} Map from API path (e.g. "chrome.tabs.create")
+ *   to the locations of its first usage: one location of the access, preceded
+ *   by the location of the alias definition if the access was via an alias.
+ *   Each location is an object with line, column (both 1-based) and text.
+ */
+function findApiUsages(sourceText) {
+  const ast = parse(sourceText);
+  if (!ast) {
+    return null;
+  }
+
+  function getLocation(node) {
+    return {
+      line: node.loc.start.line,
+      column: node.loc.start.column + 1,
+      text: sourceText.slice(node.start, node.end),
+    };
+  }
+
+  // Map from alias key (see getAliasKey) to { path, origin }, where path is
+  // the API path as an array (e.g. ["chrome", "storage"]) and origin is the
+  // location of the expression that the alias was assigned from.
+  const aliases = new Map();
+
+  // Returns { path, origin } if node is a reference to an API, null otherwise.
+  // origin is null unless the reference was via an alias.
+  function resolve(node) {
+    switch (node.type) {
+      case "Identifier":
+        if (aliases.has(node.name)) {
+          return aliases.get(node.name);
+        }
+        if (ROOTS.has(node.name)) {
+          return { path: [node.name], origin: null };
+        }
+        return null;
+      case "MemberExpression": {
+        const aliasKey = getAliasKey(node);
+        if (aliasKey !== null && aliases.has(aliasKey)) {
+          return aliases.get(aliasKey);
+        }
+        const key = getStaticKey(node.property, node.computed);
+        if (key === null) {
+          return null;
+        }
+        if (node.object.type === "Identifier" &&
+            GLOBAL_OBJECTS.has(node.object.name) && ROOTS.has(key)) {
+          return { path: [key], origin: null };
+        }
+        const object = resolve(node.object);
+        if (!object) {
+          return null;
+        }
+        return { path: object.path.concat(key), origin: object.origin };
+      }
+      case "ChainExpression":
+        return resolve(node.expression);
+      case "ConditionalExpression":
+        // e.g. typeof browser !== "undefined" ? browser : chrome
+        return resolve(node.consequent) || resolve(node.alternate);
+      case "LogicalExpression":
+        if (node.operator === "&&") {
+          return resolve(node.right);
+        }
+        // e.g. window.browser || window.chrome
+        return resolve(node.left) || resolve(node.right);
+      case "SequenceExpression":
+        return resolve(node.expressions[node.expressions.length - 1]);
+      case "AssignmentExpression":
+        return node.operator === "=" ? resolve(node.right) : null;
+      default:
+        return null;
+    }
+  }
+
+  // Calls callback(target, ref) for every target (Identifier, MemberExpression
+  // or Property) in the binding pattern that receives an API reference.
+  function bindPattern(pattern, ref, callback) {
+    switch (pattern.type) {
+      case "Identifier":
+      case "MemberExpression":
+        callback(pattern, ref);
+        break;
+      case "AssignmentPattern":
+        bindPattern(pattern.left, ref, callback);
+        break;
+      case "ObjectPattern":
+        for (const property of pattern.properties) {
+          if (property.type !== "Property") {
+            continue; // RestElement.
+          }
+          const key = getStaticKey(property.key, property.computed);
+          if (key === null) {
+            continue;
+          }
+          const propertyRef = { path: ref.path.concat(key), origin: ref.origin };
+          callback(property, propertyRef);
+          bindPattern(property.value, propertyRef, callback);
+        }
+        break;
+    }
+  }
+
+  // Calls callback(pattern, initNode) for every declaration or assignment.
+  function forEachBinding(node, callback) {
+    if (node.type === "VariableDeclarator" && node.init) {
+      callback(node.id, node.init);
+    } else if (node.type === "AssignmentExpression" && node.operator === "=") {
+      callback(node.left, node.right);
+    }
+  }
+
+  for (let pass = 0; pass < MAX_ALIAS_PASSES; ++pass) {
+    const aliasCount = aliases.size;
+    walk(ast, node => forEachBinding(node, (pattern, initNode) => {
+      const ref = resolve(initNode);
+      if (!ref) {
+        return;
+      }
+      const initLocation = getLocation(initNode);
+      bindPattern(pattern, ref, (target, targetRef) => {
+        const aliasKey = target.type === "Property" ? null : getAliasKey(target);
+        if (aliasKey === null || aliases.has(aliasKey) || ROOTS.has(aliasKey)) {
+          return;
+        }
+        aliases.set(aliasKey, { path: targetRef.path, origin: initLocation });
+      });
+    }));
+    if (aliases.size === aliasCount) {
+      break;
+    }
+  }
+
+  const usages = new Map();
+  function addUsage(ref, node) {
+    if (ref.path.length < 2) {
+      return; // Just "chrome" or "browser".
+    }
+    const apiPath = ref.path.join(".");
+    if (!usages.has(apiPath)) {
+      const locations = [getLocation(node)];
+      if (ref.origin) {
+        locations.unshift(ref.origin);
+      }
+      usages.set(apiPath, locations);
+    }
+  }
+  walk(ast, node => {
+    if (node.type === "MemberExpression") {
+      const ref = resolve(node);
+      if (ref) {
+        addUsage(ref, node);
+      }
+    }
+    // Destructuring, e.g. const {create} = chrome.tabs;
+    forEachBinding(node, (pattern, initNode) => {
+      if (pattern.type !== "ObjectPattern") {
+        return;
+      }
+      const ref = resolve(initNode);
+      if (ref) {
+        bindPattern(pattern, ref, (target, targetRef) => {
+          if (target.type === "Property") {
+            addUsage(targetRef, target);
+          }
+        });
+      }
+    });
+  });
+  return usages;
+}
+
+exports.findApiUsages = findApiUsages;
@@ -6,7 +6,7 @@ const { Worker } = require("worker_threads");
 const weApiFinder = require("../we-api-finder");
 
 const workerSrc = path.join(__dirname, "worker.js");
-const kTaskResolver = Symbol("kTaskResolver");
+const kTask = Symbol("kTask");
 
 function getNumThreads() {
   // Allow override in case there is somehow a need to not utilize all cores.
@@ -22,8 +22,16 @@ function getNumThreads() {
 }
 
 class QueryMatcherWorkerPool {
-  constructor(queriesAndPatterns) {
+  // poolOptions.taskTimeout: milliseconds after which a task is aborted and
+  // its worker terminated, 0 = no timeout. The time starts when a worker
+  // receives the task, waiting for a free worker does not count.
+  // poolOptions.maxRetries: how often a task is retried after its worker
+  // crashed. Timed out and aborted tasks are not retried.
+  constructor(queriesAndPatterns, options, poolOptions = {}) {
     this.queriesAndPatterns = queriesAndPatterns;
+    this.options = options;
+    this.taskTimeout = poolOptions.taskTimeout || 0;
+    this.maxRetries = poolOptions.maxRetries || 0;
     this.numThreads = getNumThreads();
     this.workers = [];
     this.idleWorkers = [];
@@ -35,16 +43,30 @@ class QueryMatcherWorkerPool {
       return this.idleWorkers.shift();
     }
     if (this.workers.length < this.numThreads) {
-      const workerData = { queriesAndPatterns: this.queriesAndPatterns };
+      const workerData = {
+        queriesAndPatterns: this.queriesAndPatterns,
+        options: this.options,
+      };
       const worker = new Worker(workerSrc, { workerData });
       worker.on("message", result => {
-        worker[kTaskResolver](result);
+        const task = worker[kTask];
+        if (!task || !this.workers.includes(worker)) {
+          // The result was posted before the task was aborted or timed out,
+          // and the worker is being terminated.
+          return;
+        }
+        worker[kTask] = null;
+        clearTimeout(task.timer);
+        task.resolve(result);
         this.idleWorkers.push(worker);
         this._runNextTask();
       });
       worker.on("error", err => {
-        worker[kTaskResolver](Promise.reject(err));
-        // Note: Not pushed into idleWorkers since it has been terminated.
+        this._removeWorker(worker, err, true);
+      });
+      worker.on("exit", exitCode => {
+        // Unexpected exit, e.g. process.exit() in the worker.
+        this._removeWorker(worker, new Error(`Worker exited with code ${exitCode}`), true);
       });
       this.workers.push(worker);
       return worker;
@@ -52,9 +74,70 @@ class QueryMatcherWorkerPool {
     return null;
   }
 
-  queryResultsForSourceTexts(sourceTexts) {
-    return new Promise((resolve) => {
-      this.taskQueue.push({ resolve, sourceTexts });
+  // Removes a crashed or stuck worker from the pool, and retries or rejects
+  // its task. A new worker is spawned on demand by _runNextTask.
+  _removeWorker(worker, err, canRetry) {
+    const index = this.workers.indexOf(worker);
+    if (index === -1) {
+      // Already removed, e.g. "exit" after "error".
+      return;
+    }
+    this.workers.splice(index, 1);
+    const idleIndex = this.idleWorkers.indexOf(worker);
+    if (idleIndex !== -1) {
+      this.idleWorkers.splice(idleIndex, 1);
+    }
+    worker.terminate();
+    const task = worker[kTask];
+    worker[kTask] = null;
+    if (task) {
+      clearTimeout(task.timer);
+      if (canRetry && task.retries < this.maxRetries) {
+        ++task.retries;
+        this.taskQueue.unshift(task);
+      } else {
+        task.reject(err);
+      }
+    }
+    this._runNextTask();
+  }
+
+  // sources is a Map from source text to file name. queries is an optional
+  // array of queries to match, instead of all. Resolves to an object with
+  // matchedQueries and matchLocations, see QueryMatcher. Rejects if the
+  // worker crashed (after retries), or with the reason of signal (an optional
+  // AbortSignal) if it is aborted. A task that is running when signal is
+  // aborted is stopped by terminating its worker.
+  queryResultsForSources(sources, queries, signal) {
+    if (signal && signal.aborted) {
+      return Promise.reject(signal.reason);
+    }
+    return new Promise((resolve, reject) => {
+      const task = { resolve, reject, sources, queries, retries: 0, timer: null };
+      if (signal) {
+        const onAbort = () => {
+          const queueIndex = this.taskQueue.indexOf(task);
+          if (queueIndex !== -1) {
+            this.taskQueue.splice(queueIndex, 1);
+            reject(signal.reason);
+            return;
+          }
+          const worker = this.workers.find(w => w[kTask] === task);
+          if (worker) {
+            this._removeWorker(worker, signal.reason, false);
+          }
+        };
+        signal.addEventListener("abort", onAbort);
+        task.resolve = result => {
+          signal.removeEventListener("abort", onAbort);
+          resolve(result);
+        };
+        task.reject = err => {
+          signal.removeEventListener("abort", onAbort);
+          reject(err);
+        };
+      }
+      this.taskQueue.push(task);
       this._runNextTask();
     });
   }
@@ -67,14 +150,27 @@ class QueryMatcherWorkerPool {
         break;
       }
       let task = this.taskQueue.shift();
-      worker[kTaskResolver] = task.resolve;
-      worker.postMessage({ sourceTexts: task.sourceTexts });
+      worker[kTask] = task;
+      if (this.taskTimeout) {
+        task.timer = setTimeout(() => {
+          this._removeWorker(
+            worker,
+            new Error(`Timed out after ${this.taskTimeout / 1000} seconds`),
+            false
+          );
+        }, this.taskTimeout);
+      }
+      worker.postMessage({ sources: task.sources, queries: task.queries });
     }
   }
 
   terminateAllWorkers() {
     for (const worker of this.workers) {
+      worker.removeAllListeners("exit");
       worker.terminate();
+      if (worker[kTask]) {
+        clearTimeout(worker[kTask].timer);
+      }
     }
     this.workers.length = 0;
     this.idleWorkers.length = 0;
@@ -83,9 +179,11 @@ class QueryMatcherWorkerPool {
 
 // This QueryCompiler has the same interface as weApiFinder.QueryCompiler,
 // except the actual query work is offloaded to a separate thread.
+// poolOptions are the options of QueryMatcherWorkerPool.
 class QueryCompiler {
-  constructor() {
-    this.qcInternal = new weApiFinder.QueryCompiler();
+  constructor(options = {}, poolOptions = {}) {
+    this.qcInternal = new weApiFinder.QueryCompiler(options);
+    this.poolOptions = poolOptions;
     this.workerPool = null;
   }
   addQuery(query) {
@@ -94,17 +192,29 @@ class QueryCompiler {
     }
     return this.qcInternal.addQuery(query);
   }
+  addPattern(query, regexStrings, flags) {
+    if (this.workerPool) {
+      throw new Error("addPattern cannot be called after newQueryMatcher!");
+    }
+    return this.qcInternal.addPattern(query, regexStrings, flags);
+  }
 
   // This newQueryMatcher method replaces weApiFinder.QueryCompiler: returns a
   // matcher that performs the equivalent work off the main thread.
-  newQueryMatcher() {
+  newQueryMatcher(queries) {
     if (!this.workerPool) {
       this.workerPool = new QueryMatcherWorkerPool(
         // queriesAndPatterns is populated by addQuery.
-        this.qcInternal.queriesAndPatterns
+        this.qcInternal.queriesAndPatterns,
+        this.qcInternal.options,
+        this.poolOptions
       );
     }
-    return new AsyncQueryMatcher(this.workerPool);
+    return new AsyncQueryMatcher(this.workerPool, queries);
+  }
+
+  getQueryKey(query) {
+    return this.qcInternal.getQueryKey(query);
   }
 
   destroy() {
@@ -116,18 +226,28 @@ class QueryCompiler {
 }
 
 class AsyncQueryMatcher {
-  constructor(workerPool) {
+  constructor(workerPool, queries) {
     this.workerPool = workerPool;
+    this.queries = queries;
     this.matchedQueries = null;
-    this.sourceTexts = new Set();
+    this.matchLocations = null;
+    // Map from source text to file name.
+    this.sources = new Map();
   }
-  addSource(sourceText) {
-    this.sourceTexts.add(sourceText);
+  addSource(sourceText, fileName) {
+    if (!this.sources.has(sourceText)) {
+      this.sources.set(sourceText, fileName);
+    }
   }
-  async findMatches() {
-    this.matchedQueries = await this.workerPool.queryResultsForSourceTexts(
-      this.sourceTexts
+  // signal is an optional AbortSignal, to abort the matching.
+  async findMatches(signal) {
+    const results = await this.workerPool.queryResultsForSources(
+      this.sources,
+      this.queries,
+      signal
     );
+    this.matchedQueries = results.matchedQueries;
+    this.matchLocations = results.matchLocations;
   }
   getMatchedResults() {
     if (!this.matchedQueries) {
@@ -135,6 +255,12 @@ class AsyncQueryMatcher {
     }
     return this.matchedQueries;
   }
+  getMatchLocations() {
+    if (!this.matchLocations) {
+      throw new Error("Attempted to get results before findMatches resolved");
+    }
+    return this.matchLocations;
+  }
 }
 
 exports.QueryCompiler = QueryCompiler;
@@ -1,19 +1,24 @@
 "use strict";
 
 const { isMainThread, parentPort, workerData } = require("worker_threads");
-const { QueryMatcher } = require("../we-api-finder");
+const { QueryMatcher, selectQueries } = require("../we-api-finder");
 
 console.assert(!isMainThread);
 
-const queriesAndPatterns = workerData.queriesAndPatterns;
+const { queriesAndPatterns, options } = workerData;
 console.assert(queriesAndPatterns instanceof Map);
 
-parentPort.on("message", ({ sourceTexts }) => {
-  const qm = new QueryMatcher(queriesAndPatterns);
-  for (const sourceText of sourceTexts) {
-    qm.addSource(sourceText);
+parentPort.on("message", ({ sources, queries }) => {
+  const qm = new QueryMatcher(
+    selectQueries(queriesAndPatterns, queries),
+    options
+  );
+  for (const [sourceText, fileName] of sources) {
+    qm.addSource(sourceText, fileName);
   }
   qm.findMatches();
-  const results = qm.getMatchedResults();
-  parentPort.postMessage(results);
+  parentPort.postMessage({
+    matchedQueries: qm.getMatchedResults(),
+    matchLocations: qm.getMatchLocations(),
+  });
 });
@@ -0,0 +1,4 @@
+"use strict";
+
+// Entry point of the library, see helpers/filters.js.
+module.exports = require("./helpers/filters");
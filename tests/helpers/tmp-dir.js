@@ -0,0 +1,20 @@
+"use strict";
+
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+// Returns a test function that calls callback with a new temporary directory,
+// which is removed afterwards.
+function withTmpDir(callback) {
+  return async () => {
+    const tmpdir = fs.mkdtempSync(path.join(os.tmpdir(), "webextanal-test-"));
+    try {
+      await callback(tmpdir);
+    } finally {
+      fs.rmSync(tmpdir, { recursive: true });
+    }
+  };
+}
+
+exports.withTmpDir = withTmpDir;
@@ -0,0 +1,41 @@
+"use strict";
+
+const zlib = require("node:zlib");
+
+// Creates a minimal zip file. The CRC32 fields are not set, because the reader
+// does not verify them.
+function createZip(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  for (const [name, content, deflate] of files) {
+    const nameBuf = Buffer.from(name);
+    const data = deflate ? zlib.deflateRawSync(content) : Buffer.from(content);
+    const lfh = Buffer.alloc(30);
+    lfh.writeUInt32LE(0x04034b50, 0);
+    lfh.writeUInt16LE(deflate ? 8 : 0, 8);
+    lfh.writeUInt32LE(data.length, 18);
+    lfh.writeUInt32LE(Buffer.byteLength(content), 22);
+    lfh.writeUInt16LE(nameBuf.length, 26);
+    const cdfh = Buffer.alloc(46);
+    cdfh.writeUInt32LE(0x02014b50, 0);
+    cdfh.writeUInt16LE(deflate ? 8 : 0, 10);
+    cdfh.writeUInt32LE(data.length, 20);
+    cdfh.writeUInt32LE(Buffer.byteLength(content), 24);
+    cdfh.writeUInt16LE(nameBuf.length, 28);
+    cdfh.writeUInt32LE(offset, 42);
+    localParts.push(lfh, nameBuf, data);
+    centralParts.push(cdfh, nameBuf);
+    offset += lfh.length + nameBuf.length + data.length;
+  }
+  const central = Buffer.concat(centralParts);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(files.length, 8);
+  eocd.writeUInt16LE(files.length, 10);
+  eocd.writeUInt32LE(central.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...localParts, central, eocd]);
+}
+
+exports.createZip = createZip;
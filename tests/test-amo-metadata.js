@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+"use strict";
+
+const assert = require("node:assert");
+const { execFileSync } = require("node:child_process");
+const fs = require("node:fs");
+const path = require("node:path");
+const { PassThrough } = require("node:stream");
+const test = require("node:test");
+const { withTmpDir } = require("./helpers/tmp-dir");
+const zlib = require("node:zlib");
+const ExtensionLayouts = require("../helpers/extension-layouts");
+const {
+  getAddonIdentifier,
+  getMetadataFile,
+  loadAmoMetadata,
+  parseJSONArrayStream,
+  spliceMetadataOption,
+} = require("../helpers/amo-metadata");
+
+const ADDONS = [
+  { id: 1, guid: "a@b", average_daily_users: 10, name: { "en-US": "A [1]" } },
+  { id: 2, guid: "{x}", average_daily_users: 0, name: { "en-US": "B \"}\\" } },
+];
+
+function hasBzip2() {
+  try {
+    execFileSync("bzip2", ["--help"], { stdio: "ignore" });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+async function parseChunks(chunks) {
+  const stream = new PassThrough();
+  for (const chunk of chunks) {
+    stream.write(Buffer.from(chunk));
+  }
+  stream.end();
+  const elements = [];
+  for await (const element of parseJSONArrayStream(stream)) {
+    elements.push(element);
+  }
+  return elements;
+}
+
+test("parseJSONArrayStream", async () => {
+  const text = JSON.stringify(ADDONS, null, 1);
+  // Split in all possible places, including within strings and escapes.
+  for (let i = 0; i < text.length; ++i) {
+    assert.deepStrictEqual(await parseChunks([text.slice(0, i), text.slice(i)]), ADDONS);
+  }
+  assert.deepStrictEqual(await parseChunks([" [1, \"x,]\", [2], null ] "]), [1, "x,]", [2], null]);
+  assert.deepStrictEqual(await parseChunks(["\uFEFF[]"]), []);
+  await assert.rejects(parseChunks(["{}"]), /not a JSON array/);
+  await assert.rejects(parseChunks(["[{}"]), /Unexpected end/);
+  await assert.rejects(parseChunks(["[] []"]), /Unexpected data after/);
+});
+
+test("loadAmoMetadata: plain, gzip and bzip2", withTmpDir(async (tmpdir) => {
+  const json = JSON.stringify(ADDONS);
+  const files = [path.join(tmpdir, "plain.json"), path.join(tmpdir, "gz.json.gz")];
+  fs.writeFileSync(files[0], json);
+  fs.writeFileSync(files[1], zlib.gzipSync(json));
+  if (hasBzip2()) {
+    fs.writeFileSync(path.join(tmpdir, "bz.json"), json);
+    execFileSync("bzip2", [path.join(tmpdir, "bz.json")]);
+    files.push(path.join(tmpdir, "bz.json.bz2"));
+  }
+  for (const file of files) {
+    const metadata = await loadAmoMetadata(file, ["average_daily_users"]);
+    assert.strictEqual(metadata.size, 2);
+    assert.deepStrictEqual(metadata.getByAMOId(1), { id: 1, guid: "a@b", average_daily_users: 10 });
+    assert.strictEqual(metadata.getByGuid("{x}"), metadata.getByAMOId(2));
+    assert.strictEqual(metadata.getByAMOId(3), undefined);
+  }
+  const metadata = await loadAmoMetadata(files[0]);
+  assert.deepStrictEqual(metadata.getByAMOId(2), ADDONS[1]);
+}));
+
+test("loadAmoMetadata: errors", withTmpDir(async (tmpdir) => {
+  await assert.rejects(
+    loadAmoMetadata(path.join(tmpdir, "missing.json")),
+    /^Error: Unable to load AMO metadata from .*missing\.json: ENOENT.*\n.*--metadata FILE/
+  );
+  fs.writeFileSync(path.join(tmpdir, "bad.json"), "[1]");
+  await assert.rejects(
+    loadAmoMetadata(path.join(tmpdir, "bad.json")),
+    /Unable to load AMO metadata from .*: The data is not an array of objects/
+  );
+}));
+
+test("getMetadataFile and spliceMetadataOption", async () => {
+  const env = { AMO_METADATA_JSON: "/env.json" };
+  assert.strictEqual(await getMetadataFile("/cli.json", env), "/cli.json");
+  assert.strictEqual(await getMetadataFile(undefined, env), "/env.json");
+
+  const args = ["--metadata", "/x.json", "%id%"];
+  assert.strictEqual(spliceMetadataOption(args), "/x.json");
+  assert.deepStrictEqual(args, ["%id%"]);
+  assert.strictEqual(spliceMetadataOption(["--metadata=/y.json"]), "/y.json");
+  assert.strictEqual(spliceMetadataOption(["%id%"]), undefined);
+  assert.throws(() => spliceMetadataOption(["--metadata"]), /requires a file/);
+});
+
+test("USAGE with and without AMO_METADATA_JSON", () => {
+  const modulePath = JSON.stringify(require.resolve("../helpers/amo-metadata"));
+  const getUsage = (env) => execFileSync(process.execPath, [
+    "-e",
+    `process.stdout.write(require(${modulePath}).USAGE)`,
+  ], { env, encoding: "utf-8" });
+  const env = Object.assign({}, process.env);
+  delete env.AMO_METADATA_JSON;
+  assert.match(getUsage(env), /AMO_METADATA_JSON environment variable \(not set\)\./);
+  env.AMO_METADATA_JSON = "/env.json";
+  assert.match(
+    getUsage(env),
+    /AMO_METADATA_JSON environment variable \(current value: \/env\.json\)\./
+  );
+});
+
+test("getAddonIdentifier", async () => {
+  const layouts = new ExtensionLayouts();
+  const hash = "a".repeat(64);
+  assert.deepStrictEqual(await getAddonIdentifier(`/x/123/${hash}/a.js`, layouts), { amoId: 123 });
+  assert.deepStrictEqual(await getAddonIdentifier("123", layouts), { amoId: 123 });
+  assert.deepStrictEqual(await getAddonIdentifier("a@b", layouts), { guid: "a@b" });
+  assert.strictEqual(await getAddonIdentifier("/x/y", layouts), null);
+});
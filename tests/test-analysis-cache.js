@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+"use strict";
+
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const test = require("node:test");
+const { withTmpDir } = require("./helpers/tmp-dir");
+const AnalysisCache = require("../helpers/analysis-cache");
+const { openExtension } = require("../helpers/extension-files");
+
+function createExtension(tmpdir) {
+  const extdir = path.join(tmpdir, "ext");
+  fs.mkdirSync(extdir);
+  fs.writeFileSync(path.join(extdir, "manifest.json"), "{}");
+  fs.writeFileSync(path.join(extdir, "bg.js"), "chrome.tabs.create({});");
+  return extdir;
+}
+
+test("AnalysisCache: manifest", withTmpDir(async (tmpdir) => {
+  const extdir = createExtension(tmpdir);
+  const cache = new AnalysisCache(path.join(tmpdir, "cache"));
+  const fingerprint = await cache.getManifestFingerprint(extdir);
+  assert.strictEqual(await cache.getManifest(extdir, fingerprint), undefined);
+
+  await cache.setManifest(extdir, fingerprint, { name: "x" });
+  assert.deepStrictEqual(await cache.getManifest(extdir, fingerprint), { name: "x" });
+  // Persisted across instances.
+  const cache2 = new AnalysisCache(path.join(tmpdir, "cache"));
+  assert.deepStrictEqual(await cache2.getManifest(extdir, fingerprint), { name: "x" });
+
+  fs.writeFileSync(path.join(extdir, "manifest.json"), "{\"name\": \"y\"}");
+  const newFingerprint = await cache.getManifestFingerprint(extdir);
+  assert.notStrictEqual(newFingerprint, fingerprint);
+  assert.strictEqual(await cache.getManifest(extdir, newFingerprint), undefined);
+}));
+
+test("AnalysisCache: query results", withTmpDir(async (tmpdir) => {
+  const extdir = createExtension(tmpdir);
+  const cache = new AnalysisCache(path.join(tmpdir, "cache"));
+  const fingerprint = await cache.getFilesFingerprint(await openExtension(extdir));
+
+  // Concurrent updates of the same extension are not lost.
+  await Promise.all([
+    cache.setQueryResults(extdir, fingerprint, new Map([["q1", { "": true }]])),
+    cache.setQueryResults(extdir, fingerprint, new Map([["q2", { "": false }]])),
+  ]);
+  assert.deepStrictEqual(
+    await cache.getQueryResults(extdir, fingerprint, ["q1", "q2", "q3"]),
+    new Map([["q1", { "": true }], ["q2", { "": false }]])
+  );
+
+  // Adding a file changes the fingerprint, and invalidates the results.
+  fs.writeFileSync(path.join(extdir, "other.js"), "");
+  const newFingerprint = await cache.getFilesFingerprint(await openExtension(extdir));
+  assert.notStrictEqual(newFingerprint, fingerprint);
+  assert.deepStrictEqual(
+    await cache.getQueryResults(extdir, newFingerprint, ["q1", "q2"]),
+    new Map()
+  );
+  await cache.setQueryResults(extdir, newFingerprint, new Map([["q2", { "": true }]]));
+  assert.deepStrictEqual(
+    await cache.getQueryResults(extdir, newFingerprint, ["q1", "q2"]),
+    new Map([["q2", { "": true }]])
+  );
+}));
+
+test("AnalysisCache: corrupt cache file", withTmpDir(async (tmpdir) => {
+  const extdir = createExtension(tmpdir);
+  const cacheDir = path.join(tmpdir, "cache");
+  const cache = new AnalysisCache(cacheDir);
+  const fingerprint = await cache.getManifestFingerprint(extdir);
+  await cache.setManifest(extdir, fingerprint, {});
+  const [subdir] = fs.readdirSync(cacheDir);
+  const [cacheFile] = fs.readdirSync(path.join(cacheDir, subdir));
+  fs.writeFileSync(path.join(cacheDir, subdir, cacheFile), "{ not json");
+  assert.strictEqual(await cache.getManifest(extdir, fingerprint), undefined);
+  await cache.setManifest(extdir, fingerprint, { name: "x" });
+  assert.deepStrictEqual(await cache.getManifest(extdir, fingerprint), { name: "x" });
+}));
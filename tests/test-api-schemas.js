@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+"use strict";
+
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const test = require("node:test");
+const { withTmpDir } = require("./helpers/tmp-dir");
+const ApiSchemas = require("../helpers/api-schemas");
+
+const TABS_SCHEMA = `// License header, as in Firefox's schemas.
+[
+  {
+    "namespace": "tabs",
+    "functions": [
+      { "name": "create" },
+      { "name": "executeScript", "max_manifest_version": 2 },
+      { "name": "getSelected", "deprecated": "Please use tabs.query" }
+    ],
+    "events": [{ "name": "onCreated" }, { "name": "onUpdated" }],
+    "properties": { "TAB_ID_NONE": { "value": -1 } }
+  }
+]`;
+
+const OTHER_SCHEMA = JSON.stringify([{
+  namespace: "storage",
+  types: [{ id: "StorageArea", functions: [{ name: "get" }, { name: "set" }] }],
+  properties: { local: { $ref: "StorageArea" } },
+}, {
+  namespace: "devtools.panels",
+  functions: [{ name: "create" }],
+}, {
+  namespace: "browserAction",
+  max_manifest_version: 2,
+  $import: "action",
+}, {
+  namespace: "action",
+  functions: [{ name: "setIcon" }],
+}]);
+
+function withSchemas(callback) {
+  return withTmpDir(async (tmpdir) => {
+    fs.mkdirSync(path.join(tmpdir, "sub"));
+    fs.writeFileSync(path.join(tmpdir, "tabs.json"), TABS_SCHEMA);
+    fs.writeFileSync(path.join(tmpdir, "sub", "other.json"), OTHER_SCHEMA);
+    fs.writeFileSync(path.join(tmpdir, "README.txt"), "Not a schema");
+    await callback(await ApiSchemas.load(tmpdir));
+  });
+}
+
+test("ApiSchemas.load without schemas", withTmpDir(async (tmpdir) => {
+  await assert.rejects(ApiSchemas.load(tmpdir), /No API schemas \(.json files\) found/);
+  fs.writeFileSync(path.join(tmpdir, "bad.json"), "{}");
+  await assert.rejects(
+    ApiSchemas.load(tmpdir),
+    /Invalid API schema bad.json in .*: The schema is not an array of namespaces/
+  );
+}));
+
+test("ApiSchemas.isWildcardQuery", () => {
+  assert.strictEqual(ApiSchemas.isWildcardQuery("tabs.*"), true);
+  assert.strictEqual(ApiSchemas.isWildcardQuery("webRequest.on*"), true);
+  assert.strictEqual(ApiSchemas.isWildcardQuery("tabs.create"), false);
+  // Regular expressions are not wildcards.
+  assert.strictEqual(ApiSchemas.isWildcardQuery("tabs.(create|update)*"), false);
+});
+
+test("validateQuery", withSchemas(async (apiSchemas) => {
+  assert.strictEqual(apiSchemas.validateQuery("tabs"), null);
+  assert.strictEqual(apiSchemas.validateQuery("tabs.create"), null);
+  assert.strictEqual(apiSchemas.validateQuery("browser.tabs.create"), null);
+  assert.strictEqual(apiSchemas.validateQuery("tabs.onUpdated.addListener"), null);
+  assert.strictEqual(apiSchemas.validateQuery("storage.local.get"), null);
+  assert.strictEqual(apiSchemas.validateQuery("devtools"), null);
+  assert.strictEqual(apiSchemas.validateQuery("devtools.panels.create"), null);
+  assert.strictEqual(apiSchemas.validateQuery("browserAction.setIcon"), null);
+  // Anything goes after a function.
+  assert.strictEqual(apiSchemas.validateQuery("tabs.create.call"), null);
+  // Regular expressions are not checked.
+  assert.strictEqual(apiSchemas.validateQuery("tab.(create|update)"), null);
+
+  assert.strictEqual(apiSchemas.validateQuery("tab.create"), 'unknown namespace "tab"');
+  assert.strictEqual(apiSchemas.validateQuery("tabs.creat"), '"tabs" has no member "creat"');
+  assert.strictEqual(
+    apiSchemas.validateQuery("storage.local.remove"),
+    '"storage.local" has no member "remove"'
+  );
+  assert.strictEqual(
+    apiSchemas.validateQuery("tabs.onUpdated.addListeners"),
+    '"tabs.onUpdated" has no member "addListeners"'
+  );
+}));
+
+test("expandQuery", withSchemas(async (apiSchemas) => {
+  assert.deepStrictEqual(apiSchemas.expandQuery("tabs.*"), [
+    "tabs.create",
+    "tabs.executeScript",
+    "tabs.getSelected",
+    "tabs.onCreated",
+    "tabs.onUpdated",
+    "tabs.TAB_ID_NONE",
+  ]);
+  assert.deepStrictEqual(apiSchemas.expandQuery("tabs.on*"), ["tabs.onCreated", "tabs.onUpdated"]);
+  assert.deepStrictEqual(apiSchemas.expandQuery("browser.storage.local.*"), [
+    "browser.storage.local.get",
+    "browser.storage.local.set",
+  ]);
+  assert.deepStrictEqual(apiSchemas.expandQuery("devtools.*"), ["devtools.panels"]);
+  assert.deepStrictEqual(apiSchemas.expandQuery("t*"), ["tabs"]);
+  assert.throws(() => apiSchemas.expandQuery("tabs.foo*"), /No API matches tabs.foo\*/);
+  assert.throws(
+    () => apiSchemas.expandQuery("tab.*"),
+    /Unknown API in tab.\*: unknown namespace "tab"/
+  );
+  assert.throws(
+    () => apiSchemas.expandQuery("*.create"),
+    /Wildcards are only supported in the last part of an API: \*.create/
+  );
+}));
+
+test("getFlags", withSchemas(async (apiSchemas) => {
+  assert.deepStrictEqual(apiSchemas.getFlags("tabs.create"), []);
+  assert.deepStrictEqual(apiSchemas.getFlags("tabs.executeScript"), ["mv2-only"]);
+  assert.deepStrictEqual(apiSchemas.getFlags("chrome.tabs.getSelected"), ["deprecated"]);
+  assert.deepStrictEqual(apiSchemas.getFlags("browserAction.setIcon"), ["mv2-only"]);
+  assert.deepStrictEqual(apiSchemas.getFlags("tab.create"), []);
+}));
@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+"use strict";
+
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const test = require("node:test");
+const { withTmpDir } = require("./helpers/tmp-dir");
+const Checkpoint = require("../helpers/checkpoint");
+
+test("Checkpoint", withTmpDir((tmpdir) => {
+  const file = path.join(tmpdir, "run.checkpoint");
+  let checkpoint = Checkpoint.open(file);
+  assert.strictEqual(checkpoint.has("/x/1/a.js"), false);
+  checkpoint.add("/x/1/a.js");
+  checkpoint.add("/x/1/b.js");
+  checkpoint.close();
+  assert.strictEqual(fs.readFileSync(file, "utf-8"), "/x/1/a.js\n/x/1/b.js\n");
+
+  // A line that was not completely written is ignored.
+  fs.appendFileSync(file, "/x/1/c");
+  checkpoint = Checkpoint.open(file);
+  assert.strictEqual(checkpoint.has("/x/1/a.js"), true);
+  assert.strictEqual(checkpoint.has("/x/1/b.js"), true);
+  assert.strictEqual(checkpoint.has("/x/1/c"), false);
+  checkpoint.add("/x/1/c.js");
+  checkpoint.close();
+  assert.strictEqual(
+    fs.readFileSync(file, "utf-8"),
+    "/x/1/a.js\n/x/1/b.js\n/x/1/c.js\n"
+  );
+}));
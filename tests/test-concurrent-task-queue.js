@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+"use strict";
+
+const assert = require("node:assert");
+const test = require("node:test");
+const ConcurrentTaskQueue = require("../helpers/concurrent-task-queue");
+
+// Returns a task callback that resolves once release() is called, and records
+// when it started in "log".
+function createTask(log, name) {
+  let release;
+  let promise = new Promise(resolve => { release = resolve; });
+  let callback = () => {
+    log.push(name);
+    return promise.then(() => name);
+  };
+  return { callback, release };
+}
+
+test("ConcurrentTaskQueue limits the number of tasks", async () => {
+  const queue = new ConcurrentTaskQueue(2);
+  const log = [];
+  const tasks = ["a", "b", "c"].map(name => createTask(log, name));
+  const results = tasks.map(task => queue.queueTask(task.callback));
+  assert.deepStrictEqual(log, ["a", "b"]);
+  tasks[1].release();
+  assert.strictEqual(await results[1], "b");
+  assert.deepStrictEqual(log, ["a", "b", "c"]);
+  tasks[0].release();
+  tasks[2].release();
+  assert.deepStrictEqual(await Promise.all(results), ["a", "b", "c"]);
+  assert.strictEqual(queue.size, 0);
+
+  await assert.rejects(queue.queueTask(async () => {
+    throw new Error("Task failed");
+  }), /Task failed/);
+  assert.strictEqual(queue.size, 0);
+});
+
+test("ConcurrentTaskQueue limits the total cost of tasks", async () => {
+  const queue = new ConcurrentTaskQueue(100);
+  const log = [];
+  const big = createTask(log, "big");
+  const small = createTask(log, "small");
+  const huge = createTask(log, "huge");
+  const tiny = createTask(log, "tiny");
+  const results = [
+    queue.queueTask(big.callback, 60),
+    queue.queueTask(small.callback, 30),
+    // Exceeds the maximum, runs alone.
+    queue.queueTask(huge.callback, 500),
+    // Fits, but runs after the tasks before it.
+    queue.queueTask(tiny.callback, 1),
+  ];
+  assert.deepStrictEqual(log, ["big", "small"]);
+  big.release();
+  await results[0];
+  assert.deepStrictEqual(log, ["big", "small"]);
+  small.release();
+  await results[1];
+  assert.deepStrictEqual(log, ["big", "small", "huge"]);
+  huge.release();
+  await results[2];
+  assert.deepStrictEqual(log, ["big", "small", "huge", "tiny"]);
+  tiny.release();
+  await results[3];
+  assert.strictEqual(queue.size, 0);
+});
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+"use strict";
+
+const assert = require("node:assert");
+const test = require("node:test");
+const {
+  findCspWeaknesses,
+  getPolicies,
+  parsePolicy,
+} = require("../helpers/content-security-policy");
+
+test("getPolicies", () => {
+  assert.deepStrictEqual(getPolicies({}), []);
+  assert.deepStrictEqual(getPolicies({ content_security_policy: "script-src 'self'" }), [
+    { name: "content_security_policy", policy: "script-src 'self'" },
+  ]);
+  assert.deepStrictEqual(getPolicies({
+    content_security_policy: { extension_pages: "script-src 'self'", sandbox: 1 },
+  }), [
+    { name: "extension_pages", policy: "script-src 'self'" },
+  ]);
+});
+
+test("parsePolicy", () => {
+  assert.deepStrictEqual(
+    parsePolicy(" Script-Src 'self'  https://a ; object-src 'none';;script-src *"),
+    new Map([["script-src", ["'self'", "https://a"]], ["object-src", ["'none'"]]])
+  );
+});
+
+test("findCspWeaknesses", () => {
+  assert.deepStrictEqual(findCspWeaknesses({
+    content_security_policy: {
+      extension_pages: "script-src 'self' 'wasm-unsafe-eval' 'sha256-abc='; object-src *",
+      sandbox: "sandbox allow-scripts; default-src 'self' 'unsafe-inline' 'unsafe-eval' *",
+    },
+  }), [
+    { category: "csp-unsafe-inline", policy: "sandbox", directive: "default-src",
+      source: "'unsafe-inline'" },
+    { category: "csp-unsafe-eval", policy: "sandbox", directive: "default-src",
+      source: "'unsafe-eval'" },
+    { category: "csp-remote-script", policy: "sandbox", directive: "default-src",
+      source: "*" },
+  ]);
+  // default-src does not apply to scripts if script-src is set.
+  assert.deepStrictEqual(findCspWeaknesses({
+    content_security_policy: "default-src https:; script-src 'self' data: example.com",
+  }).map(finding => finding.source), ["data:", "example.com"]);
+});
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+"use strict";
+
+const assert = require("node:assert");
+const test = require("node:test");
+const CorpusStats = require("../helpers/corpus-stats");
+
+function createStats(options) {
+  const stats = new CorpusStats(options);
+  stats.addGroup("permissions");
+  stats.addGroup("api");
+  stats.addExtension(30, new Map([["permissions", ["tabs", "storage", "tabs"]]]));
+  stats.addExtension(10, new Map([["permissions", ["storage"]]]));
+  stats.addExtension(-1, new Map([["permissions", ["storage", "a,\"b\""]]]));
+  return stats;
+}
+
+test("CorpusStats: weighted", () => {
+  assert.deepStrictEqual(createStats().getResults(), {
+    total: { extensions: 3, users: 40, unknownUsers: 1 },
+    groups: {
+      permissions: [
+        { value: "storage", extensions: 3, extensionsPercent: 100, users: 40, usersPercent: 100 },
+        { value: "tabs", extensions: 1, extensionsPercent: 33.33, users: 30, usersPercent: 75 },
+        { value: "a,\"b\"", extensions: 1, extensionsPercent: 33.33, users: 0, usersPercent: 0 },
+      ],
+      api: [],
+    },
+  });
+});
+
+test("CorpusStats: not weighted, top", () => {
+  assert.deepStrictEqual(createStats({ weighted: false }).getResults(1), {
+    total: { extensions: 3 },
+    groups: {
+      permissions: [{ value: "storage", extensions: 3, extensionsPercent: 100 }],
+      api: [],
+    },
+  });
+});
+
+test("CorpusStats: formats", () => {
+  const stats = createStats();
+  assert.strictEqual(stats.format("csv"), [
+    "group,value,extensions,extensions_percent,users,users_percent",
+    "permissions,storage,3,100,40,100",
+    "permissions,tabs,1,33.33,30,75",
+    "permissions,\"a,\"\"b\"\"\",1,33.33,0,0",
+  ].join("\n"));
+  assert.strictEqual(stats.format("table"), [
+    "Extensions: 3, users: 40 (user count unknown for 1 extensions)",
+    "",
+    "permissions  extensions       %  users       %",
+    "storage               3  100.00     40  100.00",
+    "tabs                  1   33.33     30   75.00",
+    "a,\"b\"                 1   33.33      0    0.00",
+    "",
+    "api  extensions  %  users  %",
+  ].join("\n"));
+  assert.deepStrictEqual(JSON.parse(stats.format("json")), stats.getResults());
+  assert.throws(() => stats.format("xml"), /Unsupported format: xml/);
+});
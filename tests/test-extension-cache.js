@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+"use strict";
+
+const assert = require("node:assert");
+const test = require("node:test");
+const ExtensionCache = require("../helpers/extension-cache");
+
+test("ExtensionCache", async () => {
+  const cache = new ExtensionCache(2);
+  let computeCount = 0;
+  const compute = () => Promise.resolve(++computeCount);
+
+  assert.strictEqual(await cache.get("a", "manifest", compute), 1);
+  assert.strictEqual(await cache.get("a", "manifest", compute), 1);
+  assert.strictEqual(await cache.get("a", "files", compute), 2);
+  assert.strictEqual(await cache.get("b", "manifest", compute), 3);
+  // "a" was used less recently than "b", so adding "c" evicts "a".
+  assert.strictEqual(await cache.get("c", "manifest", compute), 4);
+  assert.strictEqual(await cache.get("b", "manifest", compute), 3);
+  assert.strictEqual(await cache.get("a", "manifest", compute), 5);
+  // "c" was evicted by "a".
+  assert.strictEqual(await cache.get("c", "manifest", compute), 6);
+});
+
+test("ExtensionCache: errors are cached", async () => {
+  const cache = new ExtensionCache(10);
+  let computeCount = 0;
+  const compute = () => {
+    ++computeCount;
+    throw new Error("Failed to compute");
+  };
+  await assert.rejects(cache.get("a", "manifest", compute), /Failed to compute/);
+  await assert.rejects(cache.get("a", "manifest", compute), /Failed to compute/);
+  assert.strictEqual(computeCount, 1);
+});
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+"use strict";
+
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const test = require("node:test");
+const { withTmpDir } = require("./helpers/tmp-dir");
+const { createZip } = require("./helpers/zip");
+const { isArchivePath, openExtension } = require("../helpers/extension-files");
+
+const SAMPLE_FILES = [
+  ["manifest.json", '{"manifest_version": 2}', false],
+  ["bg/", "", false],
+  ["bg/main.js", "chrome.tabs.create({});".repeat(10), true],
+];
+
+async function assertSampleExtension(extpath) {
+  const ext = await openExtension(extpath);
+  assert.deepStrictEqual(
+    (await ext.listFiles()).sort(),
+    ["bg/main.js", "manifest.json"]
+  );
+  assert.strictEqual(
+    await ext.readFile("manifest.json", "utf-8"),
+    '{"manifest_version": 2}'
+  );
+  assert.strictEqual(
+    await ext.readFile("bg/main.js", "utf-8"),
+    "chrome.tabs.create({});".repeat(10)
+  );
+  await assert.rejects(ext.readFile("missing.js", "utf-8"), { code: "ENOENT" });
+}
+
+test("isArchivePath", () => {
+  assert(isArchivePath("/path/to/ext.xpi"));
+  assert(isArchivePath("ext.ZIP"));
+  assert(isArchivePath("ext.crx"));
+  assert(!isArchivePath("/path/to/ext"));
+  assert(!isArchivePath("/path/to/ext.xpi/manifest.json"));
+});
+
+test("openExtension: directory", withTmpDir(async (tmpdir) => {
+  for (const [name, content] of SAMPLE_FILES) {
+    if (name.endsWith("/")) {
+      fs.mkdirSync(path.join(tmpdir, name));
+    } else {
+      fs.writeFileSync(path.join(tmpdir, name), content);
+    }
+  }
+  await assertSampleExtension(tmpdir);
+}));
+
+test("openExtension: xpi", withTmpDir(async (tmpdir) => {
+  const xpiPath = path.join(tmpdir, "ext.xpi");
+  fs.writeFileSync(xpiPath, createZip(SAMPLE_FILES));
+  await assertSampleExtension(xpiPath);
+}));
+
+test("openExtension: CRX2", withTmpDir(async (tmpdir) => {
+  const header = Buffer.alloc(16);
+  header.write("Cr24", 0);
+  header.writeUInt32LE(2, 4);
+  header.writeUInt32LE(3, 8); // Public key length.
+  header.writeUInt32LE(5, 12); // Signature length.
+  const crxPath = path.join(tmpdir, "ext.crx");
+  fs.writeFileSync(crxPath, Buffer.concat([
+    header,
+    Buffer.from("KEY"),
+    Buffer.from("SIGNA"),
+    createZip(SAMPLE_FILES),
+  ]));
+  await assertSampleExtension(crxPath);
+}));
+
+test("openExtension: CRX3", withTmpDir(async (tmpdir) => {
+  const header = Buffer.alloc(12);
+  header.write("Cr24", 0);
+  header.writeUInt32LE(3, 4);
+  header.writeUInt32LE(7, 8); // Header length.
+  const crxPath = path.join(tmpdir, "ext.crx");
+  fs.writeFileSync(crxPath, Buffer.concat([
+    header,
+    Buffer.from("PROTOBF"),
+    createZip(SAMPLE_FILES),
+  ]));
+  await assertSampleExtension(crxPath);
+}));
+
+test("openExtension: not a zip file", withTmpDir(async (tmpdir) => {
+  const xpiPath = path.join(tmpdir, "ext.xpi");
+  fs.writeFileSync(xpiPath, "This is not a zip file, but it is long enough.");
+  await assert.rejects(openExtension(xpiPath), /Not a zip file/);
+}));
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+"use strict";
+
+const assert = require("node:assert");
+const test = require("node:test");
+const {
+  getScriptInventory,
+  parseHtmlScripts,
+  parseScriptImports,
+} = require("../helpers/extension-inventory");
+
+// Same interface as openExtension from helpers/extension-files.js.
+function createFakeExtension(files) {
+  return {
+    async listFiles() {
+      return Object.keys(files);
+    },
+    async readFile(relPath) {
+      if (!(relPath in files)) {
+        throw new Error(`File not found: ${relPath}`);
+      }
+      return files[relPath];
+    },
+  };
+}
+
+test("parseHtmlScripts", () => {
+  assert.deepStrictEqual(
+    parseHtmlScripts(
+      `<script src="a.js"></script>
+      <SCRIPT src='../b.js?v=1' type="module"></SCRIPT>
+      <script src=/c.js defer></script>
+      <script src="https://example.com/remote.js"></script>
+      <script type="text/template">not js</script>
+      <script>inline()</script>
+      <script>  </script>`,
+      "pages/popup.html"
+    ),
+    [
+      { src: "pages/a.js" },
+      { src: "b.js" },
+      { src: "c.js" },
+      { sourceText: "inline()" },
+    ]
+  );
+});
+
+test("parseScriptImports", () => {
+  assert.deepStrictEqual(
+    parseScriptImports(
+      `import "./polyfill.js";
+      import defaultExport, { a as b } from '../lib/a.js';
+      import * as c from "/lib/c.mjs";
+      export { d } from "./d.js";
+      import lodash from "lodash";
+      const e = await import("./dynamic.js");
+      importScripts("e.js", '/f.js', variable);
+      importScripts("https://example.com/remote.js");`,
+      "bg/sw.js"
+    ),
+    ["bg/polyfill.js", "lib/a.js", "lib/c.mjs", "bg/d.js", "bg/e.js", "f.js"]
+  );
+});
+
+test("getScriptInventory", async () => {
+  const ext = createFakeExtension({
+    "bg.js": "",
+    "cs.js": "",
+    "popup.html": '<script src="shared.js"></script><script>x()</script>',
+    "shared.js": "",
+    "options/index.html": '<script src="../shared.js"></script>',
+    "war/a.js": "",
+    "war/page.html": '<script src="/war/page.js"></script>',
+    "war/page.js": "",
+    "lib/unused.mjs": "",
+    "style.css": "",
+  });
+  const manifest = {
+    background: { scripts: ["bg.js", "missing.js"] },
+    content_scripts: [{ js: ["/cs.js", "shared.js"] }],
+    browser_action: { default_popup: "popup.html" },
+    options_ui: { page: "options/index.html" },
+    web_accessible_resources: ["war/*"],
+  };
+  assert.deepStrictEqual(await getScriptInventory(ext, manifest), [
+    { fileName: "bg.js", contexts: ["background"] },
+    { fileName: "cs.js", contexts: ["content"] },
+    { fileName: "shared.js", contexts: ["content", "page"] },
+    {
+      fileName: "popup.html#inline-script-1",
+      contexts: ["page"],
+      sourceText: "x()",
+    },
+    { fileName: "war/a.js", contexts: ["web_accessible"] },
+    { fileName: "war/page.js", contexts: ["web_accessible"] },
+    { fileName: "lib/unused.mjs", contexts: ["unreferenced"] },
+  ]);
+});
+
+test("getScriptInventory: MV3", async () => {
+  const ext = createFakeExtension({
+    "sw.js": 'import { handler } from "./lib/handler.js";',
+    "lib/handler.js": 'import "./util.js"; importScripts("../sw.js", "legacy.js");',
+    "lib/util.js": "",
+    "lib/legacy.js": "",
+    "war.js": "",
+    "other.js": "",
+  });
+  const manifest = {
+    background: { service_worker: "sw.js" },
+    web_accessible_resources: [{ resources: ["war.js"], matches: ["<all_urls>"] }],
+  };
+  assert.deepStrictEqual(await getScriptInventory(ext, manifest), [
+    { fileName: "sw.js", contexts: ["background"] },
+    { fileName: "lib/handler.js", contexts: ["background"] },
+    { fileName: "lib/util.js", contexts: ["background"] },
+    { fileName: "lib/legacy.js", contexts: ["background"] },
+    { fileName: "war.js", contexts: ["web_accessible"] },
+    { fileName: "other.js", contexts: ["unreferenced"] },
+  ]);
+});
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+"use strict";
+
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const test = require("node:test");
+const { withTmpDir } = require("./helpers/tmp-dir");
+const ExtensionLayouts = require("../helpers/extension-layouts");
+
+const HASH = "a".repeat(64);
+
+test("Built-in layouts", async () => {
+  const layouts = new ExtensionLayouts();
+  assert.deepStrictEqual(await layouts.resolve(`/x/123/${HASH}/lib/a.js`), {
+    extdir: `/x/123/${HASH}`,
+    groups: { amoid: "123" },
+    layout: "webextaware",
+  });
+  assert.deepStrictEqual(
+    await layouts.resolve("mnt/ebs/unzipped/1/12/1/34/56/manifest.json"),
+    {
+      extdir: "mnt/ebs/unzipped/1/12/1/34/56",
+      groups: { addonid: "12", channelid: "1", versionid: "34", fileid: "56" },
+      layout: "unzipped",
+    }
+  );
+  assert.deepStrictEqual(await layouts.resolve("/x/ext.xpi/bg.js"), {
+    extdir: "/x/ext.xpi",
+    groups: {},
+    layout: "archive",
+  });
+  assert.strictEqual(await layouts.resolve("/x/y/z"), null);
+});
+
+test("Layouts from environment", async () => {
+  const layouts = await ExtensionLayouts.fromEnvironment({
+    WEBEXTANAL_LAYOUTS: JSON.stringify({
+      cws: "^(?:.*/)?(?<crxid>[a-p]{32})/[^/]+(?=/|$)",
+      other: { pattern: "^/other/\\d+" },
+    }),
+  });
+  const crxid = "a".repeat(32);
+  assert.deepStrictEqual(await layouts.resolve(`/cws/${crxid}/1.0/bg.js`), {
+    extdir: `/cws/${crxid}/1.0`,
+    groups: { crxid },
+    layout: "cws",
+  });
+  assert.strictEqual((await layouts.resolve("/other/1/a.js")).extdir, "/other/1");
+
+  layouts.select("other");
+  assert.strictEqual(await layouts.resolve(`/cws/${crxid}/1.0/bg.js`), null);
+  assert.throws(() => layouts.select("unknown"), /Unknown layout: unknown/);
+
+  await assert.rejects(
+    ExtensionLayouts.fromEnvironment({ WEBEXTANAL_LAYOUTS: "{" }),
+    /Invalid JSON in WEBEXTANAL_LAYOUTS/
+  );
+  await assert.rejects(
+    ExtensionLayouts.fromEnvironment({ WEBEXTANAL_LAYOUTS: '{"x": 1}' }),
+    /Invalid definition for layout "x"/
+  );
+  await assert.rejects(
+    ExtensionLayouts.fromEnvironment({ WEBEXTANAL_LAYOUTS: '{"webextaware": "x"}' }),
+    /Duplicate layout name: webextaware/
+  );
+});
+
+test("manifest layout", withTmpDir(async (tmpdir) => {
+  const extdir = path.join(tmpdir, "ext");
+  fs.mkdirSync(path.join(extdir, "lib"), { recursive: true });
+  fs.writeFileSync(path.join(extdir, "manifest.json"), "{}");
+  fs.writeFileSync(path.join(extdir, "lib", "a.js"), "");
+
+  const layouts = new ExtensionLayouts();
+  layouts.select("manifest");
+  for (const filepath of [extdir, extdir + "/", path.join(extdir, "lib", "a.js")]) {
+    assert.deepStrictEqual(await layouts.resolve(filepath), {
+      extdir,
+      groups: {},
+      layout: "manifest",
+    });
+  }
+  assert.strictEqual(await layouts.resolve(tmpdir), null);
+}));
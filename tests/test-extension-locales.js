@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+"use strict";
+
+const assert = require("node:assert");
+const test = require("node:test");
+const { DEFAULT_LOCALE, localizeManifest } = require("../helpers/extension-locales");
+
+// An extension with the given files, see extension-files.js.
+function createExtension(files) {
+  return {
+    async readFile(relPath) {
+      if (!Object.prototype.hasOwnProperty.call(files, relPath)) {
+        let err = new Error(`File not found: ${relPath}`);
+        err.code = "ENOENT";
+        throw err;
+      }
+      return files[relPath];
+    },
+  };
+}
+
+const MANIFEST = {
+  name: "__MSG_extName__",
+  description: "__MSG_Desc__ - __MSG_unknown__",
+  default_locale: "en",
+  permissions: ["tabs"],
+  browser_action: { default_title: "__MSG_title__" },
+};
+
+const EXT = createExtension({
+  "_locales/en/messages.json": "\uFEFF" + JSON.stringify({
+    extName: { message: "My extension" },
+    desc: { message: "Does things", description: "Not used" },
+    title: { message: "Title" },
+  }),
+  "_locales/de/messages.json": `{
+    // Comments are allowed.
+    "extName": { "message": "Meine Erweiterung" },
+    "title": { "message": "Titel" }
+  }`,
+  "_locales/de_AT/messages.json": JSON.stringify({ title: { message: "Titel (AT)" } }),
+  "_locales/fr/messages.json": "{ invalid",
+});
+
+async function localize(manifest, locale, ext = EXT) {
+  const warnings = [];
+  const localized = await localizeManifest(ext, manifest, locale, w => warnings.push(w));
+  return { localized, warnings };
+}
+
+test("localizeManifest with the default locale", async () => {
+  const { localized, warnings } = await localize(MANIFEST, DEFAULT_LOCALE);
+  assert.deepStrictEqual(localized, {
+    name: "My extension",
+    description: "Does things - __MSG_unknown__",
+    default_locale: "en",
+    permissions: ["tabs"],
+    browser_action: { default_title: "Title" },
+  });
+  assert.deepStrictEqual(warnings, ["Unknown message in manifest.json: __MSG_unknown__"]);
+  // The manifest is not modified.
+  assert.strictEqual(MANIFEST.name, "__MSG_extName__");
+});
+
+test("localizeManifest with other locales", async () => {
+  let { localized } = await localize(MANIFEST, "de-AT");
+  assert.strictEqual(localized.name, "Meine Erweiterung");
+  assert.strictEqual(localized.description, "Does things - __MSG_unknown__");
+  assert.strictEqual(localized.browser_action.default_title, "Titel (AT)");
+
+  // Missing locales fall back to the default locale.
+  ({ localized } = await localize(MANIFEST, "ja"));
+  assert.strictEqual(localized.name, "My extension");
+
+  let warnings;
+  ({ localized, warnings } = await localize(MANIFEST, "fr"));
+  assert.strictEqual(localized.name, "My extension");
+  assert.match(warnings[0], /^Invalid _locales\/fr\/messages.json: /);
+});
+
+test("localizeManifest with missing locale files", async () => {
+  const manifest = { name: "Plain name" };
+  assert.deepStrictEqual(await localize(manifest, "en"), { localized: manifest, warnings: [] });
+
+  let { localized, warnings } = await localize({ name: "__MSG_extName__" }, "en");
+  assert.strictEqual(localized.name, "__MSG_extName__");
+  assert.deepStrictEqual(warnings, [
+    "manifest.json has __MSG_ placeholders, but no default_locale",
+  ]);
+
+  ({ localized, warnings } = await localize(MANIFEST, "en", createExtension({})));
+  assert.strictEqual(localized.name, "__MSG_extName__");
+  assert.deepStrictEqual(warnings, [
+    "Missing _locales/en/messages.json for default_locale",
+    "Unknown message in manifest.json: __MSG_extName__",
+    "Unknown message in manifest.json: __MSG_Desc__",
+    "Unknown message in manifest.json: __MSG_unknown__",
+    "Unknown message in manifest.json: __MSG_title__",
+  ]);
+});
@@ -0,0 +1,553 @@
+#!/usr/bin/env node
+"use strict";
+
+const assert = require("node:assert");
+const crypto = require("node:crypto");
+const fs = require("node:fs");
+const path = require("node:path");
+const test = require("node:test");
+const { withTmpDir } = require("./helpers/tmp-dir");
+const { createZip } = require("./helpers/zip");
+const {
+  FILTERS,
+  configure,
+  createFilter,
+  getExtensionDirectory,
+  getManifest,
+  runFilters,
+} = require("..");
+
+// Creates an extension in the directory layout of webextaware.
+function createExtension(tmpdir, amoId, manifest, files = {}) {
+  const extdir = path.join(tmpdir, String(amoId), String(amoId).repeat(64).slice(0, 64));
+  fs.mkdirSync(extdir, { recursive: true });
+  fs.writeFileSync(path.join(extdir, "manifest.json"), JSON.stringify(manifest));
+  for (const [relPath, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(extdir, relPath), content);
+  }
+  return extdir;
+}
+
+async function* toAsyncIterable(values) {
+  for (const value of values) {
+    yield value;
+  }
+}
+
+async function collect(asyncIterable) {
+  const results = [];
+  for await (const result of asyncIterable) {
+    results.push(result);
+  }
+  return results;
+}
+
+test("FILTERS", () => {
+  assert.deepStrictEqual(
+    Object.keys(FILTERS),
+    [
+      "permissions",
+      "manifest",
+      "api-usage",
+      "permission-usage",
+      "security",
+      "code",
+      "user-count",
+      "stats",
+      "diff-versions",
+    ]
+  );
+});
+
+test("createFilter with unknown filter", () => {
+  assert.throws(() => createFilter(["bogus", "x"]), /Unknown filter command: bogus/);
+  assert.throws(
+    () => createFilter(["permissions", "tabs", "--then", "manifest"]),
+    /Missing arguments for filter-manifest/
+  );
+});
+
+test("getManifest and getExtensionDirectory", withTmpDir(async (tmpdir) => {
+  const extdir = createExtension(tmpdir, 1, { name: "one" }, { "bg.js": "" });
+  assert.strictEqual(await getExtensionDirectory(path.join(extdir, "bg.js")), extdir);
+  assert.strictEqual(await getExtensionDirectory(tmpdir), undefined);
+  assert.deepStrictEqual(await getManifest(extdir), { name: "one" });
+}));
+
+test("runFilters yields results in order", withTmpDir(async (tmpdir) => {
+  const ext1 = createExtension(tmpdir, 1, { permissions: ["tabs"] });
+  const ext2 = createExtension(tmpdir, 2, { permissions: ["storage"] });
+  const paths = [ext1, ext2, path.join(tmpdir, "not-an-extension")];
+  const results = await collect(runFilters(toAsyncIterable(paths), ["permissions", "tabs"]));
+  assert.deepStrictEqual(results, [{
+    path: ext1,
+    extdir: ext1,
+    matched: true,
+    output: ext1,
+    annotations: {},
+    warnings: [],
+  }, {
+    path: ext2,
+    extdir: null,
+    matched: false,
+    output: ext2,
+    annotations: {},
+    warnings: [],
+  }, {
+    path: paths[2],
+    extdir: null,
+    matched: false,
+    output: paths[2],
+    annotations: {},
+    warnings: [`Not an extension directory: "${paths[2]}"`],
+  }]);
+}));
+
+test("runFilters with multiple stages and annotations", withTmpDir(async (tmpdir) => {
+  const ext1 = createExtension(tmpdir, 1, { manifest_version: 3 }, {
+    "bg.js": "chrome.tabs.create({});",
+  });
+  const ext2 = createExtension(tmpdir, 2, { manifest_version: 2 }, {
+    "bg.js": "chrome.tabs.create({});",
+  });
+  const metadataFile = path.join(tmpdir, "amo_metadata.json");
+  fs.writeFileSync(metadataFile, JSON.stringify([
+    { id: 1, guid: "one@example.com", average_daily_users: 10 },
+    { id: 2, guid: "two@example.com", average_daily_users: 20 },
+  ]));
+  configure({ metadataFile });
+
+  const spec = [
+    "api-usage", "tabs.create",
+    "--then", "manifest", "manifest_version==3",
+    "--then", "user-count", "1+", "prepend",
+  ];
+  const inputs = toAsyncIterable([
+    // Records keep their annotations.
+    { path: path.join(ext1, "bg.js"), extdir: null, annotations: { note: "x" } },
+    ext2,
+  ]);
+  const results = await collect(runFilters(inputs, spec));
+  assert.deepStrictEqual(results.map(result => result.matched), [true, false]);
+  assert.strictEqual(results[0].extdir, ext1);
+  // api-usage outputs the extension directory, user-count prepends the count.
+  assert.strictEqual(results[0].output, `10\t${ext1}`);
+  assert.deepStrictEqual(results[0].annotations, {
+    note: "x",
+    matchedApis: ["tabs.create"],
+    userCount: 10,
+  });
+}));
+
+test("permission-usage", withTmpDir(async (tmpdir) => {
+  const ext1 = createExtension(tmpdir, 1, {
+    permissions: ["tabs", "history", "storage"],
+    optional_permissions: ["menus"],
+  }, {
+    "bg.js": `
+      chrome.tabs.create({});
+      chrome.storage.local.get();
+      chrome.cookies.getAll({});
+      chrome.contextMenus.create({});
+    `,
+  });
+  const ext2 = createExtension(tmpdir, 2, { permissions: ["cookies"] }, {
+    "bg.js": "chrome.cookies.getAll({});",
+  });
+  const spec = ["permission-usage", "--log-usage", "unused", "missing"];
+  const results = await collect(runFilters(toAsyncIterable([ext1, ext2]), spec));
+  assert.deepStrictEqual(results.map(result => result.matched), [true, false]);
+  assert.strictEqual(
+    results[0].output,
+    `${ext1} unused:history unused:tabs missing:cookies[cookies]`
+  );
+  assert.deepStrictEqual(results[0].annotations, {
+    unusedPermissions: ["history", "tabs"],
+    missingPermissions: { cookies: ["cookies"] },
+  });
+
+  const [result] = await collect(runFilters(toAsyncIterable([ext1]), [
+    "permission-usage", "unused", "tabs",
+  ]));
+  assert.strictEqual(result.output, ext1);
+  assert.deepStrictEqual(result.annotations, { unusedPermissions: ["tabs"] });
+
+  assert.throws(() => createFilter(["permission-usage", "tabs"]), /unused and\/or missing/);
+  assert.throws(
+    () => createFilter(["permission-usage", "unused", "bogus"]),
+    /Unknown permission: bogus/
+  );
+}));
+
+test("archives are read once", withTmpDir(async (tmpdir) => {
+  const xpi = path.join(tmpdir, "ext.xpi");
+  fs.writeFileSync(xpi, createZip([
+    ["manifest.json", '{"manifest_version": 2}', true],
+    ["bg.js", "chrome.tabs.create({});", true],
+  ]));
+  assert.deepStrictEqual(await getManifest(xpi), { manifest_version: 2 });
+  // Scanning the files uses the archive that was read for the manifest.
+  fs.rmSync(xpi);
+  const [result] = await collect(runFilters(toAsyncIterable([xpi]), [
+    "api-usage", "tabs.create",
+  ]));
+  assert.deepStrictEqual(result.warnings, []);
+  assert.strictEqual(result.matched, true);
+}));
+
+test("security", withTmpDir(async (tmpdir) => {
+  const ext1 = createExtension(tmpdir, 1, {
+    manifest_version: 2,
+    content_security_policy: "script-src 'self' 'unsafe-eval'; object-src 'self'",
+  }, {
+    "bg.js": "var x = 1;\n  eval(x);\nchrome.tabs.executeScript({ code: 'x' });",
+    "page.html": "<script src='https://example.com/x.js'></script>",
+  });
+  const ext2 = createExtension(tmpdir, 2, {
+    manifest_version: 3,
+    content_security_policy: { extension_pages: "script-src 'self'" },
+  }, {
+    "bg.js": "x.eval(1); setTimeout(() => {}, 1);",
+  });
+  const spec = ["security", "--log-findings"];
+  const results = await collect(runFilters(toAsyncIterable([ext1, ext2]), spec));
+  assert.deepStrictEqual(results.map(result => result.matched), [true, false]);
+  assert.strictEqual(results[0].output, [
+    ext1,
+    "csp-unsafe-eval@content_security_policy:script-src:'unsafe-eval'",
+    "eval@bg.js:2:3",
+    "execute-script-code@bg.js:3:13",
+    "remote-script-tag@page.html:1:1",
+  ].join(" "));
+  assert.deepStrictEqual(results[0].annotations.securityFindings.slice(0, 2), [{
+    category: "csp-unsafe-eval",
+    policy: "content_security_policy",
+    directive: "script-src",
+    source: "'unsafe-eval'",
+  }, {
+    category: "eval",
+    fileName: "bg.js",
+    line: 2,
+    column: 3,
+    text: "eval",
+  }]);
+
+  // bg.js is larger than --max-file-size, page.html is not.
+  const [result] = await collect(runFilters(toAsyncIterable([ext1]), [
+    "security", "code", "--max-file-size=50",
+  ]));
+  assert.strictEqual(result.output, ext1);
+  assert.deepStrictEqual(
+    result.annotations.securityFindings.map(finding => finding.category),
+    ["remote-script-tag"]
+  );
+
+  // scripting.executeScript with func, also in shorthand form.
+  const funcExts = [
+    "chrome.scripting.executeScript({ target, func: () => {} });",
+    "chrome.scripting.executeScript({ target, func });",
+    "chrome.scripting.executeScript({\n  func,\n  target,\n});",
+    "chrome.scripting.executeScript({ target, func() {} });",
+    "chrome.scripting.executeScript({ target, files, funcs });",
+  ].map((code, i) => createExtension(tmpdir, 3 + i, { manifest_version: 3 }, { "bg.js": code }));
+  const funcResults = await collect(runFilters(toAsyncIterable(funcExts), [
+    "security", "execute-script-func",
+  ]));
+  assert.deepStrictEqual(funcResults.map(r => r.matched), [true, true, true, true, false]);
+
+  assert.throws(() => createFilter(["security", "bogus"]), /Unsupported argument: bogus/);
+}));
+
+test("code", withTmpDir(async (tmpdir) => {
+  const ext1 = createExtension(tmpdir, 1, { manifest_version: 3 }, {
+    "bg.js": "const ws = new WebSocket('wss://x');\nchrome.tabs/* c */.create({});",
+    "page.html": "<script src='ws.js'></script>",
+    "lib.jsx": "x{1,2}",
+  });
+  const ext2 = createExtension(tmpdir, 2, { manifest_version: 2 }, {
+    "a.js": "new WebSocket(url);",
+    "b.js": "let s = 'wss://x';",
+  });
+  // Returns the matched results.
+  const run = async (...args) => {
+    const spec = ["code", ...args];
+    const results = await collect(runFilters(toAsyncIterable([ext1, ext2]), spec));
+    return results.filter(result => result.matched);
+  };
+
+  // Across files without --files, per file with --files.
+  let results = await run("new WebSocket,wss?://");
+  assert.deepStrictEqual(results.map(result => result.output), [ext1, ext2]);
+  assert.deepStrictEqual(results[1].annotations, {
+    matchedRegExps: ["new WebSocket", "wss?://"],
+  });
+  results = await run("--files", "new WebSocket,wss?://", "^let");
+  assert.deepStrictEqual(results.map(result => result.output), [
+    path.join(ext1, "bg.js"),
+    path.join(ext2, "b.js"),
+  ]);
+  assert.deepStrictEqual(results[1].annotations, {
+    matchedRegExps: ["^let"],
+    matchedFiles: ["b.js"],
+  });
+
+  // Comments are stripped, --type and --glob select files.
+  results = await run("--type=js", "chrome\\.tabs\\.create|ws\\.js");
+  assert.deepStrictEqual(results.map(result => result.output), [ext1]);
+  results = await run("--type=html", "--ignore-case", "--files", "SCRIPT");
+  assert.deepStrictEqual(results.map(result => result.output), [path.join(ext1, "page.html")]);
+  results = await run("--glob=*.jsx", "x{1,2}");
+  assert.deepStrictEqual(results.map(result => result.output), [ext1]);
+  results = await run("--glob=*.jsx", "manifest_version");
+  assert.deepStrictEqual(results, []);
+
+  assert.throws(() => createFilter(["code", "a,,b"]), /Empty regular expression in: a,,b/);
+  assert.throws(() => createFilter(["code", "--type=txt", "a"]), /Unsupported type: txt/);
+  assert.throws(() => createFilter(["code", "--files"]), /At least one regular expression/);
+  assert.throws(() => createFilter(["code", "("]), /Invalid regular expression/);
+}));
+
+test("runFilters with a filter from createFilter", withTmpDir(async (tmpdir) => {
+  const ext1 = createExtension(tmpdir, 1, { permissions: ["tabs"] });
+  const ext2 = createExtension(tmpdir, 2, { permissions: ["tabs", "storage"] });
+  const filter = createFilter(["stats", "--no-users", "--format=csv", "permissions"]);
+  const results = await collect(runFilters(toAsyncIterable([ext1, ext2]), filter));
+  assert.deepStrictEqual(results.map(result => result.matched), [false, false]);
+  // The filter is not destroyed, so that its final output can be read.
+  assert.strictEqual(await filter.getFinalOutput(), [
+    "group,value,extensions,extensions_percent",
+    "permissions,tabs,2,100",
+    "permissions,storage,1,50",
+  ].join("\n"));
+  await filter.cleanupAndDestroy();
+}));
+
+test("diff-versions", withTmpDir(async (tmpdir) => {
+  const createVersion = (hash, manifest, files) => {
+    const extdir = path.join(tmpdir, "123", hash.repeat(64));
+    fs.mkdirSync(extdir, { recursive: true });
+    fs.writeFileSync(path.join(extdir, "manifest.json"), JSON.stringify(manifest));
+    for (const [relPath, content] of Object.entries(files)) {
+      fs.writeFileSync(path.join(extdir, relPath), content);
+    }
+    return extdir;
+  };
+  const v2 = createVersion("b", { version: "2.0", permissions: ["tabs", "cookies"] }, {
+    "bg.js": "chrome.cookies.getAll({});",
+  });
+  const v1 = createVersion("a", { version: "1.0", permissions: ["tabs"] }, {
+    "bg.js": "chrome.tabs.create({});",
+  });
+  const filter = createFilter([
+    "diff-versions", "permissions", "api:tabs.create", "api:cookies.getAll",
+  ]);
+  const results = await collect(runFilters(toAsyncIterable([v2, v1]), filter));
+  assert.deepStrictEqual(results.map(result => result.matched), [false, false]);
+  assert.strictEqual(await filter.getFinalOutput(), `Add-ons with changes: 1
+
+123 (2 versions)
+  1.0 -> 2.0 (${v1} -> ${v2})
+    + permissions: cookies
+    + apis: cookies.getAll
+    - apis: tabs.create`);
+  await filter.cleanupAndDestroy();
+}));
+
+test("runFilters rethrows errors of inputs", async () => {
+  async function* inputs() {
+    yield "/";
+    throw new Error("Failed to read input");
+  }
+  await assert.rejects(
+    collect(runFilters(inputs(), ["permissions", "tabs"])),
+    /Failed to read input/
+  );
+});
+
+test("api-usage with --schemas", withTmpDir(async (tmpdir) => {
+  const schemasDir = path.join(tmpdir, "schemas");
+  fs.mkdirSync(schemasDir);
+  fs.writeFileSync(path.join(schemasDir, "tabs.json"), JSON.stringify([{
+    namespace: "tabs",
+    functions: [{ name: "create" }, { name: "executeScript", max_manifest_version: 2 }],
+  }]));
+  const ext1 = createExtension(tmpdir, 1, {}, {
+    "bg.js": "chrome.tabs.create({}); chrome.tabs.executeScript({});",
+  });
+  const spec = ["api-usage", "--log-usage", `--schemas=${schemasDir}`, "tabs.*"];
+  const [result] = await collect(runFilters(toAsyncIterable([ext1]), spec));
+  assert.strictEqual(result.output, `${ext1} tabs.create tabs.executeScript{mv2-only}`);
+  assert.deepStrictEqual(result.annotations, {
+    matchedApis: ["tabs.create", "tabs.executeScript"],
+    apiFlags: { "tabs.executeScript": ["mv2-only"] },
+  });
+
+  await assert.rejects(
+    collect(runFilters(toAsyncIterable([ext1]), [
+      "api-usage", `--schemas=${schemasDir}`, "tab.create", "tabs.creat",
+    ])),
+    new RegExp(`Unknown APIs in the schemas at ${schemasDir}:
+tab.create: unknown namespace "tab"
+tabs.creat: "tabs" has no member "creat"`)
+  );
+  assert.throws(
+    () => createFilter(["api-usage", "tabs.*"]),
+    /Wildcards require --schemas: tabs.\*/
+  );
+}));
+
+test("api-usage with --max-file-size", withTmpDir(async (tmpdir) => {
+  const ext1 = createExtension(tmpdir, 1, {}, {
+    "small.js": "chrome.tabs.create({});",
+    "big.js": `chrome.storage.local.get(); // ${"x".repeat(2000)}`,
+  });
+  const spec = ["api-usage", "--log-usage", "--max-file-size=1K", "tabs.create", "storage.local"];
+  const [result] = await collect(runFilters(toAsyncIterable([ext1]), spec));
+  assert.strictEqual(result.output, `${ext1} tabs.create`);
+  assert.deepStrictEqual(result.warnings, [`Skipped large file: big.js (2031 bytes) in ${ext1}`]);
+
+  // Starting a worker thread alone takes longer than 1 ms.
+  const [timedOut] = await collect(runFilters(toAsyncIterable([ext1]), [
+    "api-usage", "--timeout=0.001", "tabs.create",
+  ]));
+  assert.strictEqual(timedOut.matched, false);
+  assert.deepStrictEqual(timedOut.warnings, [
+    `Failed to scan: ${ext1} -- Error: Timed out after 0.001 seconds`,
+  ]);
+
+  // Results with and without --max-file-size are cached separately, and
+  // results with skipped files are not cached.
+  configure({ cacheDir: path.join(tmpdir, "cache") });
+  try {
+    const run = async (...args) => {
+      const spec = ["api-usage", "--log-usage", ...args, "storage.local"];
+      const [result] = await collect(runFilters(toAsyncIterable([ext1]), spec));
+      return [result.matched, result.warnings];
+    };
+    const skipped = [false, [`Skipped large file: big.js (2031 bytes) in ${ext1}`]];
+    assert.deepStrictEqual(await run("--max-file-size=1K"), skipped);
+    assert.deepStrictEqual(await run(), [true, []]);
+    assert.deepStrictEqual(await run(), [true, []]);
+    assert.deepStrictEqual(await run("--max-file-size=1K"), skipped);
+    assert.deepStrictEqual(await run("--max-file-size=1K"), skipped);
+    assert.deepStrictEqual(await run("--max-file-size=1M"), [true, []]);
+  } finally {
+    configure({ cacheDir: null });
+  }
+
+  assert.throws(
+    () => createFilter(["api-usage", "--max-bytes-in-flight=lots", "tabs.create"]),
+    /Invalid size: lots/
+  );
+  assert.throws(
+    () => createFilter(["api-usage", "--timeout=-1", "tabs.create"]),
+    /Invalid number in --timeout=-1/
+  );
+}));
+
+test("api-usage with --libraries", withTmpDir(async (tmpdir) => {
+  const polyfill = "/* webextension-polyfill - v0.10.0 */ chrome.tabs.query; chrome.storage.local;";
+  const librariesFile = path.join(tmpdir, "libraries.json");
+  fs.writeFileSync(librariesFile, JSON.stringify({
+    libraries: {
+      "webextension-polyfill": {
+        sha256: [crypto.createHash("sha256").update(polyfill).digest("hex")],
+      },
+    },
+  }));
+  const ext1 = createExtension(tmpdir, 1, {}, {
+    "browser-polyfill.js": polyfill,
+    "bg.js": "browser.tabs.create({});",
+  });
+  const ext2 = createExtension(tmpdir, 2, {}, { "browser-polyfill.js": polyfill });
+  // The polyfill is only recognized by its hash, a modified copy is scanned.
+  const ext3 = createExtension(tmpdir, 3, {}, { "browser-polyfill.js": `${polyfill}\n` });
+  const inputs = [ext1, ext2, ext3];
+  const queries = ["tabs.create", "tabs.query", "storage.local"];
+
+  let results = await collect(runFilters(toAsyncIterable(inputs), [
+    "api-usage", "--log-usage", ...queries,
+  ]));
+  assert.deepStrictEqual(results.map(r => r.output), [
+    `${ext1} tabs.create tabs.query storage.local`,
+    `${ext2} tabs.query storage.local`,
+    `${ext3} tabs.query storage.local`,
+  ]);
+
+  results = await collect(runFilters(toAsyncIterable(inputs), [
+    "api-usage", "--log-usage", "--libraries=skip", `--libraries-file=${librariesFile}`,
+    ...queries,
+  ]));
+  assert.deepStrictEqual(results.map(r => r.matched), [true, false, true]);
+  assert.strictEqual(results[0].output, `${ext1} tabs.create`);
+  assert.strictEqual(results[2].output, `${ext3} tabs.query storage.local`);
+  assert.deepStrictEqual(results[2].annotations, {
+    matchedApis: ["tabs.query", "storage.local"],
+    bundledLibraries: ["webextension-polyfill"],
+  });
+
+  results = await collect(runFilters(toAsyncIterable(inputs), [
+    "api-usage", "--log-usage", "--libraries=separate", `--libraries-file=${librariesFile}`,
+    ...queries,
+  ]));
+  assert.deepStrictEqual(results.map(r => r.matched), [true, false, true]);
+  assert.strictEqual(
+    results[0].output,
+    `${ext1} tabs.create library:webextension-polyfill[tabs.query,storage.local]`
+  );
+  assert.deepStrictEqual(results[0].annotations, {
+    matchedApis: ["tabs.create"],
+    libraryApis: { "webextension-polyfill": ["tabs.query", "storage.local"] },
+  });
+
+  // The code of the extension in a bundle with a library is not hidden.
+  const bundle = createExtension(tmpdir, 4, {}, {
+    "bundle.js": `/*! jQuery v3.6.0 | (c) OpenJS Foundation | jquery.org/license */
+      (function(window) { window.jQuery = window.$ = function() {}; })(window);
+      chrome.tabs.create({ url: "https://example.com/" });`,
+  });
+  for (let mode of ["skip", "separate"]) {
+    const [result] = await collect(runFilters(toAsyncIterable([bundle]), [
+      "api-usage", "--log-usage", `--libraries=${mode}`, ...queries,
+    ]));
+    assert.strictEqual(result.output, `${bundle} tabs.create`);
+    assert.deepStrictEqual(result.annotations, {
+      matchedApis: ["tabs.create"],
+      bundledLibraries: ["jquery"],
+    });
+  }
+
+  assert.throws(
+    () => createFilter(["api-usage", "--libraries=hide", "tabs.create"]),
+    /Unsupported value: --libraries=hide/
+  );
+  assert.throws(
+    () => createFilter(["api-usage", "--libraries-file=x.json", "tabs.create"]),
+    /--libraries-file requires --libraries=skip or --libraries=separate/
+  );
+}));
+
+test("manifest with --locale", withTmpDir(async (tmpdir) => {
+  const ext1 = createExtension(tmpdir, 1, {
+    name: "__MSG_extName__",
+    default_locale: "en",
+  });
+  fs.mkdirSync(path.join(ext1, "_locales", "en"), { recursive: true });
+  fs.writeFileSync(
+    path.join(ext1, "_locales", "en", "messages.json"),
+    JSON.stringify({ extName: { message: "My extension" } })
+  );
+  assert.strictEqual((await getManifest(ext1)).name, "__MSG_extName__");
+  assert.strictEqual((await getManifest(ext1, { locale: "de" })).name, "My extension");
+
+  const spec = ["manifest", "name==My extension"];
+  let [result] = await collect(runFilters(toAsyncIterable([ext1]), spec));
+  assert.strictEqual(result.matched, false);
+  try {
+    configure({ locale: "default" });
+    [result] = await collect(runFilters(toAsyncIterable([ext1]), spec));
+    assert.strictEqual(result.matched, true);
+  } finally {
+    configure({ locale: null });
+  }
+}));
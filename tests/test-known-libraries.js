@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+"use strict";
+
+const assert = require("node:assert");
+const crypto = require("node:crypto");
+const fs = require("node:fs");
+const path = require("node:path");
+const test = require("node:test");
+const { withTmpDir } = require("./helpers/tmp-dir");
+const KnownLibraries = require("../helpers/known-libraries");
+
+test("KnownLibraries.findBundled with the default libraries", () => {
+  const knownLibraries = KnownLibraries.load();
+  assert.deepStrictEqual(
+    knownLibraries.findBundled("/* webextension-polyfill - v0.10.0 - Fri Aug 12 2022 */"),
+    ["webextension-polyfill"]
+  );
+  // Bundled, e.g. by webpack.
+  const bundle = `"./node_modules/webextension-polyfill/dist/browser-polyfill.js":
+    function() { chrome.tabs.create({}); }, "./node_modules/jquery/dist/jquery.js":
+    function() { /*! jQuery v3.6.0 | (c) OpenJS Foundation | jquery.org/license */ }`;
+  assert.deepStrictEqual(knownLibraries.findBundled(bundle), ["webextension-polyfill", "jquery"]);
+  // Only exact builds are identified.
+  assert.strictEqual(knownLibraries.identify(bundle), null);
+  assert.deepStrictEqual(knownLibraries.findBundled("chrome.tabs.create({});"), []);
+});
+
+test("KnownLibraries.identify with the default libraries", () => {
+  const knownLibraries = KnownLibraries.load();
+  // The real builds, from the webextension-polyfill package (devDependency).
+  for (const fileName of ["browser-polyfill.js", "browser-polyfill.min.js"]) {
+    const sourceText = fs.readFileSync(
+      require.resolve(`webextension-polyfill/dist/${fileName}`),
+      "utf-8"
+    );
+    assert.strictEqual(knownLibraries.identify(sourceText), "webextension-polyfill");
+    assert.strictEqual(knownLibraries.identify(`${sourceText}\nchrome.tabs.create({});`), null);
+  }
+});
+
+test("KnownLibraries.load with more libraries", withTmpDir((tmpdir) => {
+  const file = path.join(tmpdir, "libraries.json");
+  const libraryCode = "window.myLib = function() { chrome.tabs.create({}); };";
+  const hash = crypto.createHash("sha256").update(libraryCode).digest("hex");
+  fs.writeFileSync(file, JSON.stringify({
+    libraries: {
+      "my-lib": { sha256: [hash.toUpperCase()] },
+      "other-lib": { signatures: ["@license Other"] },
+    },
+  }));
+  const knownLibraries = KnownLibraries.load([file]);
+  assert.strictEqual(knownLibraries.identify(libraryCode), "my-lib");
+  assert.strictEqual(knownLibraries.identify(`${libraryCode}\n`), null);
+  assert.deepStrictEqual(knownLibraries.findBundled("/* @license Other */"), ["other-lib"]);
+  assert.deepStrictEqual(knownLibraries.findBundled("/*! jQuery v3.7.1 */"), ["jquery"]);
+  assert.notStrictEqual(knownLibraries.getFingerprint(), KnownLibraries.load().getFingerprint());
+
+  fs.writeFileSync(file, "[]");
+  assert.throws(
+    () => KnownLibraries.load([file]),
+    /Invalid library file .*libraries.json: Expected an object with "libraries"/
+  );
+}));
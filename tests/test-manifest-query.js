@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+"use strict";
+
+const assert = require("node:assert");
+const test = require("node:test");
+const {
+  isManifestCondition,
+  parseManifestCondition,
+  parseManifestPath,
+  parseManifestQuery,
+} = require("../helpers/manifest-query");
+
+const MANIFEST = {
+  manifest_version: 2,
+  version: "1.2",
+  permissions: ["tabs", "https://*/*"],
+  background: { scripts: ["bg.js"], persistent: false },
+  content_scripts: [
+    { matches: ["https://example.com/*"], js: ["a.js"] },
+    { matches: ["<all_urls>"], js: ["b.js"], all_frames: true },
+  ],
+  chrome_url_overrides: { newtab: "newtab.html" },
+  "key.with.dots": "yes",
+  empty: null,
+};
+
+function check(condition, manifest = MANIFEST) {
+  return parseManifestCondition(condition)(manifest);
+}
+
+test("isManifestCondition", () => {
+  assert(isManifestCondition("manifest_version==2"));
+  assert(isManifestCondition("a.b[*].c:exists"));
+  assert(!isManifestCondition("version"));
+  assert(!isManifestCondition("background.persistent"));
+});
+
+test("paths", () => {
+  assert(check("background.scripts[0]==bg.js"));
+  assert(!check("background.scripts[1]:exists"));
+  assert(check("content_scripts[*].matches=~^<all_urls>$"));
+  assert(check("content_scripts.*.all_frames==true"));
+  assert(check("content_scripts[1].js==b.js"));
+  assert(!check("content_scripts[0].js==b.js"));
+  assert(check("chrome_url_overrides.*=~html$"));
+  assert(check('["key.with.dots"]==yes'));
+  assert.throws(() => check("a."), /Missing key after "."/);
+  assert.throws(() => check("a[x]==1"), /Invalid path segment/);
+  assert.throws(() => check("a"), /Missing operator/);
+});
+
+test("operators", () => {
+  assert(check("manifest_version==2"));
+  assert(!check('manifest_version=="2"'));
+  assert(check("version==1.2"));
+  assert(check("manifest_version>=2"));
+  assert(check("manifest_version<3"));
+  assert(!check("manifest_version>2"));
+  assert(check("version>1"));
+  assert(check("permissions=~^tabs$"));
+  assert(!check("permissions=~^tab$"));
+  assert(check('permissions==["tabs","https://*/*"]'));
+  assert(check('background=={"scripts":["bg.js"],"persistent":false}'));
+  assert(check("background.persistent!=true"));
+  assert(check("missing.key!=true"));
+  assert(check("permissions!~^cookies$"));
+  assert(!check("permissions!~^tabs$"));
+  assert.throws(() => check("manifest_version>x"), /Expected a number/);
+  assert.throws(() => check("version=~("), /Invalid regular expression/);
+});
+
+test("checks", () => {
+  assert(check("background:exists"));
+  assert(check("background.page:missing"));
+  assert(check("empty:missing"));
+  assert(check("empty:null"));
+  assert(check("permissions:array"));
+  assert(check("background:object"));
+  assert(check("manifest_version:number"));
+  assert(!check("manifest_version:string"));
+  assert(check("background.persistent:boolean"));
+  assert.throws(() => check("a:foo"), /Unknown check/);
+});
+
+test("parseManifestQuery", () => {
+  const query = parseManifestQuery([
+    "manifest_version==2,background:exists,background.persistent!=false",
+    "manifest_version==3,version=~^(1|2)\\,",
+  ]);
+  assert(!query(MANIFEST));
+  assert(query({ manifest_version: 2, background: { page: "bg.html" } }));
+  assert(query({ manifest_version: 3, version: "1," }));
+  assert(!query({ manifest_version: 3, version: "1" }));
+});
+
+test("parseManifestPath", () => {
+  assert.deepStrictEqual(parseManifestPath("manifest_version")(MANIFEST), [2]);
+  assert.deepStrictEqual(
+    parseManifestPath("content_scripts[*].js")(MANIFEST),
+    [["a.js"], ["b.js"]]
+  );
+  assert.deepStrictEqual(parseManifestPath("options_ui.page")(MANIFEST), []);
+  assert.throws(() => parseManifestPath("version==1"), /Unexpected "==1"/);
+});
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+"use strict";
+
+const assert = require("node:assert");
+const test = require("node:test");
+const {
+  isHostPermission,
+  parseMatchPattern,
+} = require("../helpers/match-pattern");
+
+function assertMatches(pattern, url) {
+  const mp = parseMatchPattern(pattern);
+  assert(mp, `Valid pattern: ${pattern}`);
+  assert(mp.matches(new URL(url)), `${pattern} should match ${url}`);
+}
+function assertNotMatches(pattern, url) {
+  const mp = parseMatchPattern(pattern);
+  assert(mp, `Valid pattern: ${pattern}`);
+  assert(!mp.matches(new URL(url)), `${pattern} should not match ${url}`);
+}
+
+test("isHostPermission", () => {
+  assert(isHostPermission("<all_urls>"));
+  assert(isHostPermission("*://*/*"));
+  assert(!isHostPermission("tabs"));
+  assert(!isHostPermission("storage"));
+});
+
+test("parseMatchPattern: invalid patterns", () => {
+  assert.strictEqual(parseMatchPattern("tabs"), null);
+  assert.strictEqual(parseMatchPattern("https://example.com"), null);
+  assert.strictEqual(parseMatchPattern("https:///"), null);
+  assert.strictEqual(parseMatchPattern("https://foo.*.com/"), null);
+});
+
+test("parseMatchPattern: matches", () => {
+  const url = "https://mail.google.com/mail/u/0/?tab=wm";
+  assertMatches("<all_urls>", url);
+  assertMatches("*://*/*", url);
+  assertMatches("https://*/*", url);
+  assertMatches("https://*.google.com/*", url);
+  assertMatches("https://mail.google.com/*", url);
+  assertMatches("https://mail.google.com/mail/*", url);
+  assertMatches("https://mail.google.com/*tab=wm", url);
+  assertMatches("HTTPS://MAIL.google.com/*", url);
+  assertNotMatches("http://*/*", url);
+  assertNotMatches("https://google.com/*", url);
+  assertNotMatches("https://*.mail.google.com.evil/*", url);
+  assertNotMatches("https://mail.google.com/", url);
+  assertNotMatches("https://mail.google.com/calendar/*", url);
+
+  assertMatches("https://*.google.com/*", "https://google.com/");
+  assertNotMatches("https://*.google.com/*", "https://notgoogle.com/");
+  assertMatches("*://*/*", "wss://example.com/");
+  assertNotMatches("*://*/*", "ftp://example.com/");
+  assertMatches("<all_urls>", "ftp://example.com/");
+  assertNotMatches("<all_urls>", "about:blank");
+  assertMatches("file:///*", "file:///etc/passwd");
+  assertNotMatches("file:///home/*", "file:///etc/passwd");
+  assertMatches("http://localhost:8080/*", "http://localhost:8080/x");
+  assertNotMatches("http://localhost:8080/*", "http://localhost:8081/x");
+  // A missing port in the URL is the default port of the scheme.
+  assertMatches("https://example.com:443/*", "https://example.com/");
+  assertMatches("*://example.com:80/*", "http://example.com:80/x");
+  assertMatches("*://example.com:80/*", "ws://example.com/x");
+  assertNotMatches("*://example.com:80/*", "https://example.com/");
+  assertNotMatches("https://example.com:8443/*", "https://example.com/");
+  assertMatches("http://localhost/*", "http://localhost:8081/x");
+  assertMatches("http://[::1]/*", "http://[::1]/x");
+});
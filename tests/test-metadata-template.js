@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+"use strict";
+
+const assert = require("node:assert");
+const test = require("node:test");
+const {
+  createOutputFormatter,
+  parseField,
+  parseTemplate,
+} = require("../helpers/metadata-template");
+
+const ADDON = {
+  id: 1,
+  guid: "a@b",
+  average_daily_users: 1234567,
+  name: { "en-US": "Example" },
+  current_version: { version: "1.0", files: [{ size: 42 }] },
+  last_updated: "2024-02-18T12:34:56Z",
+  homepage: null,
+  tags: ["a", "b"],
+};
+
+test("parseField", () => {
+  assert.strictEqual(parseField("current_version.version").getValue(ADDON), "1.0");
+  assert.strictEqual(parseField("%current_version.files.0.size%").getValue(ADDON), 42);
+  assert.strictEqual(parseField("name.en-US").key, "name");
+  assert.strictEqual(parseField("name.fr").getValue(ADDON), undefined);
+  assert.strictEqual(parseField("name.fr|default:(none)").getValue(ADDON), "(none)");
+  assert.strictEqual(parseField("homepage|default:-").getValue(ADDON), "-");
+  assert.strictEqual(parseField("average_daily_users|number").getValue(ADDON), "1,234,567");
+  assert.strictEqual(parseField("last_updated|date").getValue(ADDON), "2024-02-18");
+  assert.strictEqual(parseField("last_updated|date|default:x").getValue({}), "x");
+  assert.strictEqual(parseField("tags|json").getValue(ADDON), "[\"a\",\"b\"]");
+  assert.throws(() => parseField("id|upper"), /Unknown format "upper"/);
+  assert.throws(() => parseField("|number"), /Missing key/);
+});
+
+test("parseTemplate", () => {
+  const template = parseTemplate("%id% %name.en-US% %tags% %missing% %id%");
+  assert.deepStrictEqual(template.fields.map(f => f.key), ["id", "name", "tags", "missing"]);
+  assert.strictEqual(template.render(ADDON), "1 Example [\"a\",\"b\"] undefined 1");
+});
+
+test("createOutputFormatter", () => {
+  const text = createOutputFormatter(["%id%", "%name.en-US%"], "text", "append");
+  assert.strictEqual(text.header, undefined);
+  assert.strictEqual(text.format(ADDON, "line"), "line\t1 Example");
+
+  const csv = createOutputFormatter(["id", "%tags%", "homepage"], "csv", "prepend");
+  assert.strictEqual(csv.header, "line,id,tags,homepage");
+  assert.strictEqual(csv.format(ADDON, "a,b"), "\"a,b\",1,\"[\"\"a\"\",\"\"b\"\"]\",");
+
+  const ndjson = createOutputFormatter(["id", "average_daily_users|number", "x"], "ndjson");
+  assert.strictEqual(
+    ndjson.format(ADDON, "line"),
+    "{\"id\":1,\"average_daily_users|number\":\"1,234,567\",\"x\":null}"
+  );
+  assert.throws(() => createOutputFormatter(["id"], "xml"), /Unsupported format: xml/);
+});
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+"use strict";
+
+const assert = require("node:assert");
+const test = require("node:test");
+const {
+  flattenRecord,
+  formatRecord,
+  parseRecord,
+} = require("../helpers/ndjson-records");
+
+test("parseRecord", () => {
+  assert.deepStrictEqual(parseRecord("/x/ext/bg.js"), {
+    path: "/x/ext/bg.js",
+    extdir: null,
+    annotations: {},
+  });
+  const line = JSON.stringify({
+    path: "/x/ext/bg.js",
+    extdir: "/x/ext",
+    annotations: { userCount: 5 },
+    other: "ignored",
+  });
+  assert.deepStrictEqual(parseRecord(line), {
+    path: "/x/ext/bg.js",
+    extdir: "/x/ext",
+    annotations: { userCount: 5 },
+  });
+  assert.deepStrictEqual(parseRecord("{\"path\":\"1\"}"), {
+    path: "1",
+    extdir: null,
+    annotations: {},
+  });
+  assert.throws(() => parseRecord("{\"path\":1}"), /"path" must be a string/);
+  assert.throws(() => parseRecord("{"), /Invalid NDJSON record/);
+});
+
+test("formatRecord and flattenRecord", () => {
+  const record = parseRecord("/x/ext");
+  record.extdir = "/x/ext";
+  record.annotations.matchedApis = ["tabs.create"];
+  assert.deepStrictEqual(JSON.parse(formatRecord(record)), {
+    path: "/x/ext",
+    extdir: "/x/ext",
+    annotations: { matchedApis: ["tabs.create"] },
+  });
+  assert.deepStrictEqual(parseRecord(formatRecord(record)), record);
+  assert.deepStrictEqual(flattenRecord(record), {
+    path: "/x/ext",
+    extdir: "/x/ext",
+    matchedApis: ["tabs.create"],
+  });
+});
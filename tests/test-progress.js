@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+"use strict";
+
+const assert = require("node:assert");
+const test = require("node:test");
+const Progress = require("../helpers/progress");
+
+function createStream(isTTY) {
+  return {
+    isTTY,
+    output: "",
+    write(text) {
+      this.output += text;
+    },
+  };
+}
+
+test("Progress.formatDuration", () => {
+  const { formatDuration } = Progress;
+  assert.strictEqual(formatDuration(0), "0s");
+  assert.strictEqual(formatDuration(59.4), "59s");
+  assert.strictEqual(formatDuration(192), "3m12s");
+  assert.strictEqual(formatDuration(7500), "2h05m");
+});
+
+test("Progress.format", () => {
+  let time = 0;
+  const progress = new Progress({
+    stream: createStream(false),
+    // 10 lines of 9 bytes (with newline), 2 of which are skipped.
+    totalBytes: 90,
+    now: () => time,
+  });
+  assert.strictEqual(progress.format(), "0 lines read, 0 extensions, 0 matches, 0.0 lines/s, 0%");
+  progress.addSkipped("/x/1/a.js");
+  progress.addSkipped("/x/1/b.js");
+  for (let i = 0; i < 4; ++i) {
+    progress.addInput();
+  }
+  progress.addResult("/x/2/a.js", "/x/2", true);
+  progress.addResult("/x/2/b.js", "/x/2", false);
+  progress.addResult("/x/3/a.js", null, false);
+  time = 2000;
+  // 3 lines (30 bytes) in 2 seconds, 40 bytes remaining.
+  assert.strictEqual(
+    progress.format(),
+    "6 lines read, 1 extensions, 1 matches, 2 skipped, 1.5 lines/s, 55%, ETA 3s"
+  );
+});
+
+test("Progress.show on a TTY and other streams", () => {
+  const tty = createStream(true);
+  const progress = new Progress({ stream: tty, now: () => 0 });
+  progress.addInput();
+  progress.show();
+  progress.show();
+  progress.clear();
+  progress.clear();
+  assert.strictEqual(tty.output, [
+    "\r\x1b[K1 lines read, 0 extensions, 0 matches, 0.0 lines/s",
+    "\r\x1b[K1 lines read, 0 extensions, 0 matches, 0.0 lines/s",
+    "\r\x1b[K",
+  ].join(""));
+  tty.output = "";
+  progress.stop();
+  assert.strictEqual(tty.output, "\r\x1b[K1 lines read, 0 extensions, 0 matches, 0.0 lines/s\n");
+
+  const file = createStream(false);
+  const fileProgress = new Progress({ stream: file, now: () => 0 });
+  fileProgress.show();
+  fileProgress.clear();
+  fileProgress.stop();
+  assert.strictEqual(file.output, "0 lines read, 0 extensions, 0 matches, 0.0 lines/s\n".repeat(2));
+});
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+"use strict";
+
+const assert = require("node:assert");
+const test = require("node:test");
+const {
+  parseQueryExpression,
+  getQueries,
+  evaluateQueryExpression,
+  expandQueries,
+} = require("../helpers/query-expression");
+
+function evaluate(expression, matchedQueries) {
+  return evaluateQueryExpression(
+    parseQueryExpression(expression),
+    new Set(matchedQueries)
+  );
+}
+
+test("parseQueryExpression", () => {
+  assert.deepStrictEqual(parseQueryExpression("a"), { type: "query", query: "a" });
+  assert.deepStrictEqual(parseQueryExpression("a b"), parseQueryExpression("a OR b"));
+  assert.deepStrictEqual(parseQueryExpression("a b AND NOT c"), {
+    type: "or",
+    operands: [
+      { type: "query", query: "a" },
+      {
+        type: "and",
+        operands: [
+          { type: "query", query: "b" },
+          { type: "not", operand: { type: "query", query: "c" } },
+        ],
+      },
+    ],
+  });
+  assert.deepStrictEqual(
+    parseQueryExpression("(a OR b) AND c"),
+    parseQueryExpression("( a OR b ) AND c")
+  );
+  // Parentheses that are part of a query.
+  assert.deepStrictEqual(
+    parseQueryExpression("(tabs.(create|update))"),
+    { type: "query", query: "tabs.(create|update)" }
+  );
+
+  assert.throws(() => parseQueryExpression(""), /Unexpected end of expression/);
+  assert.throws(() => parseQueryExpression("a AND"), /Unexpected end of expression/);
+  assert.throws(() => parseQueryExpression("(a"), /Missing \)/);
+  assert.throws(() => parseQueryExpression("a)"), /Unexpected \)/);
+  assert.throws(() => parseQueryExpression("OR a"), /Unexpected OR/);
+});
+
+test("getQueries", () => {
+  assert.deepStrictEqual(
+    getQueries(parseQueryExpression("a AND (b OR NOT a) c")),
+    ["a", "b", "c"]
+  );
+});
+
+test("expandQueries", () => {
+  const expand = query => query === "a.*" ? ["a.x", "a.y"] : [query];
+  assert.deepStrictEqual(
+    expandQueries(parseQueryExpression("a.* AND NOT b"), expand),
+    parseQueryExpression("(a.x OR a.y) AND NOT b")
+  );
+  assert.deepStrictEqual(
+    getQueries(expandQueries(parseQueryExpression("NOT a.* c"), expand)),
+    ["a.x", "a.y", "c"]
+  );
+});
+
+test("evaluateQueryExpression", () => {
+  assert(evaluate("a b", ["b"]));
+  assert(!evaluate("a b", []));
+  assert(evaluate("a AND b", ["a", "b"]));
+  assert(!evaluate("a AND b", ["a"]));
+  assert(evaluate("a AND NOT b", ["a"]));
+  assert(!evaluate("a AND NOT b", ["a", "b"]));
+  assert(evaluate("NOT a", []));
+  assert(evaluate("NOT NOT a", ["a"]));
+  assert(evaluate("(a OR b) AND c", ["b", "c"]));
+  assert(!evaluate("(a OR b) AND c", ["a"]));
+  assert(evaluate("a OR b AND c", ["a"]));
+});
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+"use strict";
+
+const assert = require("node:assert");
+const test = require("node:test");
+const VersionHistory = require("../helpers/version-history");
+
+test("VersionHistory.compareVersions", () => {
+  const { compareVersions } = VersionHistory;
+  assert.strictEqual(compareVersions("1.0", "1.0"), 0);
+  assert.strictEqual(compareVersions("1.0", "1.0.0"), 0);
+  assert.strictEqual(compareVersions("1.9", "1.10"), -1);
+  assert.strictEqual(compareVersions("2", "1.10"), 1);
+  assert.strictEqual(compareVersions("1.0a1", "1.0"), -1);
+  assert.strictEqual(compareVersions("1.0a1", "1.0b1"), -1);
+  assert.strictEqual(compareVersions("1.0b2", "1.0b10"), -1);
+  assert.strictEqual(
+    ["3.0", "1.10", "1.9", "1.0pre"].sort(compareVersions).join(" "),
+    "1.0pre 1.9 1.10 3.0"
+  );
+});
+
+function createHistory(options) {
+  const history = new VersionHistory(options);
+  history.addVersion("123", {
+    extdir: "/x/123/b",
+    manifest: {
+      version: "1.10",
+      manifest_version: 3,
+      permissions: ["storage", "tabs"],
+      host_permissions: ["<all_urls>"],
+      content_security_policy: { extension_pages: "script-src 'self'" },
+    },
+    apis: ["tabs.create", "scripting.executeScript"],
+  });
+  history.addVersion("123", {
+    extdir: "/x/123/a",
+    manifest: {
+      version: "1.9",
+      manifest_version: 2,
+      permissions: ["storage", "https://example.com/*"],
+      optional_permissions: ["tabs"],
+    },
+    apis: ["tabs.create", "tabs.executeScript"],
+  });
+  history.addVersion("456", { extdir: "/x/456/a", manifest: { version: "1" } });
+  return history;
+}
+
+test("VersionHistory: all changes", () => {
+  assert.deepStrictEqual(createHistory().getResults(), [{
+    addon: "123",
+    versions: 2,
+    diffs: [{
+      from: { version: "1.9", extdir: "/x/123/a" },
+      to: { version: "1.10", extdir: "/x/123/b" },
+      changes: {
+        permissions: { added: ["tabs"], removed: [] },
+        host_permissions: { added: ["<all_urls>"], removed: ["https://example.com/*"] },
+        optional_permissions: { added: [], removed: ["tabs"] },
+        apis: { added: ["scripting.executeScript"], removed: ["tabs.executeScript"] },
+        manifest_version: { from: 2, to: 3 },
+        content_security_policy: {
+          from: null,
+          to: { extension_pages: "script-src 'self'" },
+        },
+      },
+    }],
+  }]);
+});
+
+test("VersionHistory: keys and escalations", () => {
+  const history = createHistory({ keys: ["manifest_version"] });
+  assert.deepStrictEqual(history.getResults()[0].diffs[0].changes, {
+    manifest_version: { from: 2, to: 3 },
+  });
+  // Order by versionId if known.
+  const escalations = new VersionHistory({ keys: ["permissions"], escalationsOnly: true });
+  escalations.addVersion("1", { extdir: "a", versionId: 2, manifest: { version: "1" } });
+  escalations.addVersion("1", {
+    extdir: "b",
+    versionId: 1,
+    manifest: { version: "2", permissions: ["tabs"] },
+  });
+  assert.deepStrictEqual(escalations.getResults(), []);
+  escalations.addVersion("1", {
+    extdir: "c",
+    versionId: 3,
+    manifest: { version: "3", permissions: ["cookies"] },
+  });
+  assert.deepStrictEqual(escalations.getResults()[0].diffs, [{
+    from: { version: "1", extdir: "a" },
+    to: { version: "3", extdir: "c" },
+    changes: { permissions: { added: ["cookies"], removed: [] } },
+  }]);
+});
+
+test("VersionHistory: format", () => {
+  const history = createHistory({ keys: ["permissions", "manifest_version"] });
+  assert.strictEqual(history.format("text"), `Add-ons with changes: 1
+
+123 (2 versions)
+  1.9 -> 1.10 (/x/123/a -> /x/123/b)
+    + permissions: tabs
+    manifest_version: 2 -> 3`);
+  assert.deepStrictEqual(JSON.parse(history.format("json")), history.getResults());
+  assert.throws(() => history.format("csv"), /Unsupported format: csv/);
+});
@@ -135,6 +135,106 @@ test("Async QueryCompiler and AsyncQueryMatcher", async () => {
   await qc.destroy();
 });
 
+test("Async QueryCompiler replaces crashed and aborted workers", async () => {
+  const qc = new weApiFinderAsync.QueryCompiler({}, { maxRetries: 1 });
+  qc.addQuery("tabs.create");
+
+  // An unknown query crashes the worker (twice, with one retry).
+  const crashingQm = qc.newQueryMatcher(["unknown.query"]);
+  crashingQm.addSource("tabs.create");
+  await assert.rejects(crashingQm.findMatches());
+  assert.strictEqual(qc.workerPool.workers.length, 0);
+
+  // A new worker is spawned for the next task.
+  const qm = qc.newQueryMatcher();
+  qm.addSource("tabs.create");
+  await qm.findMatches();
+  assert.deepStrictEqual(qm.getMatchedResults(), new Set(["tabs.create"]));
+  assert.strictEqual(qc.workerPool.workers.length, 1);
+
+  // Aborting a running task terminates its worker, aborting a queued task
+  // removes it from the queue.
+  qc.workerPool.numThreads = 1;
+  const controller = new AbortController();
+  const runningQm = qc.newQueryMatcher();
+  runningQm.addSource("tabs.create");
+  const queuedQm = qc.newQueryMatcher();
+  queuedQm.addSource("tabs.create");
+  const promises = [
+    runningQm.findMatches(controller.signal),
+    queuedQm.findMatches(controller.signal),
+  ];
+  assert.strictEqual(qc.workerPool.taskQueue.length, 1);
+  controller.abort(new Error("Aborted scan"));
+  await assert.rejects(promises[0], /Aborted scan/);
+  await assert.rejects(promises[1], /Aborted scan/);
+  assert.strictEqual(qc.workerPool.workers.length, 0);
+  assert.strictEqual(qc.workerPool.taskQueue.length, 0);
+  await assert.rejects(runningQm.findMatches(controller.signal), /Aborted scan/);
+
+  const qm2 = qc.newQueryMatcher();
+  qm2.addSource("tabs.create");
+  await qm2.findMatches();
+  assert.deepStrictEqual(qm2.getMatchedResults(), new Set(["tabs.create"]));
+  await qc.destroy();
+});
+
+test("Async QueryCompiler ignores results of aborted tasks", async () => {
+  const qc = new weApiFinderAsync.QueryCompiler();
+  qc.addQuery("tabs.create");
+  const warmupQm = qc.newQueryMatcher();
+  warmupQm.addSource("tabs.create");
+  await warmupQm.findMatches();
+
+  // Block the main thread until the worker has posted its result, and abort
+  // the task before the result is received.
+  const controller = new AbortController();
+  const qm = qc.newQueryMatcher();
+  qm.addSource("tabs.create");
+  const promise = qm.findMatches(controller.signal);
+  const end = Date.now() + 500;
+  while (Date.now() < end) {
+    // Busy wait.
+  }
+  controller.abort(new Error("Aborted scan"));
+  await assert.rejects(promise, /Aborted scan/);
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.strictEqual(qc.workerPool.workers.length, 0);
+  assert.strictEqual(qc.workerPool.idleWorkers.length, 0);
+
+  const qm2 = qc.newQueryMatcher();
+  qm2.addSource("tabs.create");
+  await qm2.findMatches();
+  assert.deepStrictEqual(qm2.getMatchedResults(), new Set(["tabs.create"]));
+  await qc.destroy();
+});
+
+test("Async QueryCompiler times out tasks, but not while queued", async () => {
+  const qc = new weApiFinderAsync.QueryCompiler({ precise: true });
+  qc.addQuery("tabs.create");
+  const newQueryMatcher = () => {
+    const qm = qc.newQueryMatcher();
+    qm.addSource("var a = chrome.tabs; a.query({});\n".repeat(5000));
+    return qm;
+  };
+  qc.newQueryMatcher();
+  qc.workerPool.numThreads = 1;
+  await newQueryMatcher().findMatches();
+  const start = Date.now();
+  await newQueryMatcher().findMatches();
+  const duration = Date.now() - start;
+
+  // Together, the tasks take longer than the timeout, each alone does not.
+  qc.workerPool.taskTimeout = 2 * duration + 200;
+  await Promise.all([1, 2, 3, 4].map(() => newQueryMatcher().findMatches()));
+  assert.strictEqual(qc.workerPool.workers.length, 1);
+
+  qc.workerPool.taskTimeout = 1;
+  await assert.rejects(newQueryMatcher().findMatches(), /Timed out after 0.001 seconds/);
+  assert.strictEqual(qc.workerPool.workers.length, 0);
+  await qc.destroy();
+});
+
 function assertQueryMatch(query, sourceText) {
   const qc = new QueryCompiler();
   qc.addQuery(query);
@@ -236,3 +336,193 @@ test("AsyncQueryMatcher", () => {
   assertQueryMatch("ns.api", "foo + 'http://foo' + ns/*x*/.api");
   assertQueryMatch("ns.api.third", "ns//comment\n.api//com\n.//ment\nthird");
 });
+
+test("getMatchLocations", () => {
+  const qc = new QueryCompiler({ withLocations: true });
+  qc.addQuery("tabs.create");
+  qc.addQuery("storage.local.get");
+  qc.addQuery("runtime.id");
+  const qm = qc.newQueryMatcher();
+  qm.addSource("/* x */ let s = chrome.storage;\n// c\n s.local.get();", "a.js");
+  qm.addSource("\n  chrome.tabs\n  .create({});", "b.js");
+  qm.findMatches();
+  assert.deepStrictEqual(
+    new Set(["tabs.create", "storage.local.get"]),
+    qm.getMatchedResults()
+  );
+  assert.deepStrictEqual(
+    qm.getMatchLocations(),
+    new Map([
+      ["tabs.create", [
+        { fileName: "b.js", line: 2, column: 10, text: "tabs\n  .create" },
+      ]],
+      ["storage.local.get", [
+        { fileName: "a.js", line: 1, column: 17, text: "chrome.storage" },
+        { fileName: "a.js", line: 3, column: 3, text: ".local.get" },
+      ]],
+    ])
+  );
+});
+
+test("getMatchLocations: match after comments", () => {
+  const qc = new QueryCompiler({ withLocations: true });
+  qc.addQuery("ns.api");
+  const qm = qc.newQueryMatcher();
+  // Only matches after removing the comments.
+  qm.addSource("// one\n/* two */ x;/**/ ns/*x*/./**/api //", "c.js");
+  qm.findMatches();
+  assert.deepStrictEqual(
+    qm.getMatchLocations(),
+    new Map([
+      ["ns.api", [{ fileName: "c.js", line: 2, column: 18, text: "ns.api" }]],
+    ])
+  );
+});
+
+test("addPattern", async () => {
+  const qc = new weApiFinderAsync.QueryCompiler({ withLocations: true });
+  qc.addPattern("eval", [String.raw`[^\w$.](eval)\s*\(`]);
+  qc.addPattern("timer", [String.raw`(setTimeout)\(`, String.raw`(setInterval)\(`]);
+  qc.addPattern("line", ["^(SETINTERVAL)"], "im");
+  qc.addPattern("start", ["^(SETINTERVAL)"], "i");
+  qc.addQuery("tabs.create");
+  const qm = qc.newQueryMatcher();
+  qm.addSource("x.eval(1);\n  eval(2);\nsetInterval(f);", "bg.js");
+  await qm.findMatches();
+  assert.deepStrictEqual(qm.getMatchedResults(), new Set(["eval", "timer", "line"]));
+  assert.deepStrictEqual(
+    qm.getMatchLocations(),
+    new Map([
+      ["eval", [{ fileName: "bg.js", line: 2, column: 3, text: "eval" }]],
+      ["timer", [{ fileName: "bg.js", line: 3, column: 1, text: "setInterval" }]],
+      ["line", [{ fileName: "bg.js", line: 3, column: 1, text: "setInterval" }]],
+    ])
+  );
+  assert.throws(
+    () => qc.addPattern("x", ["x"]),
+    /addPattern cannot be called after newQueryMatcher!/
+  );
+  await qc.destroy();
+});
+
+test("Async getMatchLocations", async () => {
+  const qc = new weApiFinderAsync.QueryCompiler({ withLocations: true });
+  qc.addQuery("tabs.create");
+  const qm = qc.newQueryMatcher();
+  assert.throws(
+    () => qm.getMatchLocations(),
+    /Attempted to get results before findMatches resolved/
+  );
+  qm.addSource("\nchrome.tabs.create()", "bg.js");
+  await qm.findMatches();
+  assert.deepStrictEqual(
+    qm.getMatchLocations(),
+    new Map([
+      ["tabs.create", [
+        { fileName: "bg.js", line: 2, column: 8, text: "tabs.create" },
+      ]],
+    ])
+  );
+  await qc.destroy();
+});
+
+function assertPreciseQueryMatch(query, sourceText) {
+  const qc = new QueryCompiler({ precise: true });
+  qc.addQuery(query);
+  const qm = qc.newQueryMatcher();
+  qm.addSource(sourceText);
+  qm.findMatches();
+  assert.deepStrictEqual(new Set([query]), qm.getMatchedResults(), sourceText);
+}
+function assertPreciseQueryNotMatch(query, sourceText) {
+  const qc = new QueryCompiler({ precise: true });
+  qc.addQuery(query);
+  const qm = qc.newQueryMatcher();
+  qm.addSource(sourceText);
+  qm.findMatches();
+  assert.deepStrictEqual(new Set(), qm.getMatchedResults(), sourceText);
+}
+
+test("precise: direct access", () => {
+  assertPreciseQueryMatch("tabs.create", "chrome.tabs.create({})");
+  assertPreciseQueryMatch("tabs.create", "browser.tabs.create");
+  assertPreciseQueryMatch("tabs.create", "chrome?.tabs?.create()");
+  assertPreciseQueryMatch("tabs.create", 'browser["tabs"]["create"]()');
+  assertPreciseQueryMatch("tabs.create", "browser[`tabs`].create()");
+  assertPreciseQueryMatch("tabs.create", "window.browser.tabs.create()");
+  assertPreciseQueryMatch("tabs", "chrome.tabs.create()");
+  // Modules are supported too.
+  assertPreciseQueryMatch("tabs.create", "import x from 'y'; chrome.tabs.create()");
+  assertPreciseQueryMatch("browser.tabs.create", "browser.tabs.create()");
+  assertPreciseQueryNotMatch("browser.tabs.create", "chrome.tabs.create()");
+  assertPreciseQueryNotMatch("tabs.create", "tabs.create()");
+  assertPreciseQueryNotMatch("tabs.create", "foo.tabs.create()");
+  assertPreciseQueryNotMatch("tabs.create", "chrome[tabs].create()");
+  assertPreciseQueryNotMatch("tabs.create", "// chrome.tabs.create()");
+  assertPreciseQueryNotMatch("tabs.create", "'chrome.tabs.create()'");
+});
+
+test("precise: aliases", () => {
+  assertPreciseQueryMatch("storage.local.get", "const s = chrome.storage; s.local.get()");
+  assertPreciseQueryMatch("storage.local.get", "s.local.get(); var s = chrome.storage;");
+  assertPreciseQueryMatch("storage.local.get", "let a = chrome, s = a.storage; s.local.get()");
+  assertPreciseQueryMatch("tabs.create", "const {tabs} = browser; tabs.create()");
+  assertPreciseQueryMatch("tabs.create", "const {tabs: {create}} = browser; create()");
+  assertPreciseQueryMatch("tabs.create", "const {create = null} = chrome.tabs;");
+  assertPreciseQueryMatch("tabs.create", "let t; ({tabs: t} = browser); t.create()");
+  assertPreciseQueryMatch("tabs.create", "this.api = chrome; this.api.tabs.create()");
+  assertPreciseQueryMatch(
+    "tabs.create",
+    'let api = typeof browser !== "undefined" ? browser : chrome; api.tabs.create()'
+  );
+  assertPreciseQueryMatch("tabs.create", "const api = window.browser || window.chrome;" +
+    "api.tabs.create()");
+  assertPreciseQueryNotMatch("storage.local.get", "const s = chrome.storage; x.local.get()");
+  assertPreciseQueryNotMatch("tabs.create", "const {runtime} = browser; tabs.create()");
+  assertPreciseQueryNotMatch("tabs.create", "const {tabs} = other; tabs.create()");
+});
+
+test("precise: fallback to regular expressions", () => {
+  // Syntax error, so the regular expressions are used.
+  assertPreciseQueryMatch("tabs.create", "tabs.create( <<<");
+});
+
+test("precise: getMatchLocations", async () => {
+  const qc = new weApiFinderAsync.QueryCompiler({
+    precise: true,
+    withLocations: true,
+  });
+  qc.addQuery("storage.local.get");
+  const qm = qc.newQueryMatcher();
+  qm.addSource("const s =\n chrome.storage;\ns.local.get();", "a.js");
+  await qm.findMatches();
+  assert.deepStrictEqual(
+    qm.getMatchLocations(),
+    new Map([
+      ["storage.local.get", [
+        { fileName: "a.js", line: 2, column: 2, text: "chrome.storage" },
+        { fileName: "a.js", line: 3, column: 1, text: "s.local.get" },
+      ]],
+    ])
+  );
+  await qc.destroy();
+});
+
+test("newQueryMatcher with a subset of queries", async () => {
+  const qc = new QueryCompiler();
+  qc.addQuery("tabs.create");
+  qc.addQuery("tabs.update");
+  const qm = qc.newQueryMatcher(["tabs.update"]);
+  qm.addSource("chrome.tabs.create(); chrome.tabs.update();");
+  qm.findMatches();
+  assert.deepStrictEqual(new Set(["tabs.update"]), qm.getMatchedResults());
+
+  const qcAsync = new weApiFinderAsync.QueryCompiler();
+  qcAsync.addQuery("tabs.create");
+  qcAsync.addQuery("tabs.update");
+  const qmAsync = qcAsync.newQueryMatcher(["tabs.create"]);
+  qmAsync.addSource("chrome.tabs.create(); chrome.tabs.update();");
+  await qmAsync.findMatches();
+  assert.deepStrictEqual(new Set(["tabs.create"]), qmAsync.getMatchedResults());
+  await qcAsync.destroy();
+});